@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Public dictionary for the uint32 ingredient codes stored encrypted in SecretRecipeProtection.
+// Nothing here is secret: it only lets viewers turn decrypted codes back into ingredient names.
+contract IngredientRegistry {
+
+    address public owner;
+    bool public communityRegistrationOpen;
+
+    struct Ingredient {
+        string name;
+        string category;
+        uint32 allergenFlags;
+        uint8 defaultUnit;
+        address addedBy;
+        bool exists;
+    }
+
+    mapping(uint32 => Ingredient) public ingredients;
+    uint32[] public ingredientCodes;
+
+    event IngredientRegistered(uint32 indexed code, string name, address indexed addedBy);
+    event IngredientUpdated(uint32 indexed code, string name);
+    event CommunityRegistrationChanged(bool open);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    modifier onlyExistingIngredient(uint32 _code) {
+        require(ingredients[_code].exists, "Ingredient does not exist");
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function registerIngredient(
+        uint32 _code,
+        string memory _name,
+        string memory _category,
+        uint32 _allergenFlags,
+        uint8 _defaultUnit
+    ) external {
+        require(msg.sender == owner || communityRegistrationOpen, "Registration closed");
+        require(_code != 0, "Invalid ingredient code");
+        require(bytes(_name).length > 0, "Name cannot be empty");
+        require(!ingredients[_code].exists, "Ingredient already registered");
+
+        ingredients[_code] = Ingredient({
+            name: _name,
+            category: _category,
+            allergenFlags: _allergenFlags,
+            defaultUnit: _defaultUnit,
+            addedBy: msg.sender,
+            exists: true
+        });
+        ingredientCodes.push(_code);
+
+        emit IngredientRegistered(_code, _name, msg.sender);
+    }
+
+    // Community entries stay editable by their author; the owner can correct any entry
+    function updateIngredient(
+        uint32 _code,
+        string memory _name,
+        string memory _category,
+        uint32 _allergenFlags,
+        uint8 _defaultUnit
+    ) external onlyExistingIngredient(_code) {
+        Ingredient storage ingredient = ingredients[_code];
+        require(msg.sender == owner || msg.sender == ingredient.addedBy, "Not authorized");
+        require(bytes(_name).length > 0, "Name cannot be empty");
+
+        ingredient.name = _name;
+        ingredient.category = _category;
+        ingredient.allergenFlags = _allergenFlags;
+        ingredient.defaultUnit = _defaultUnit;
+
+        emit IngredientUpdated(_code, _name);
+    }
+
+    function setCommunityRegistration(bool _open) external onlyOwner {
+        communityRegistrationOpen = _open;
+        emit CommunityRegistrationChanged(_open);
+    }
+
+    function getIngredient(uint32 _code) external view onlyExistingIngredient(_code) returns (
+        string memory name,
+        string memory category,
+        uint32 allergenFlags,
+        uint8 defaultUnit,
+        address addedBy
+    ) {
+        Ingredient storage ingredient = ingredients[_code];
+        return (
+            ingredient.name,
+            ingredient.category,
+            ingredient.allergenFlags,
+            ingredient.defaultUnit,
+            ingredient.addedBy
+        );
+    }
+
+    // Batch lookup for rendering a whole recipe; unknown codes come back with an empty name
+    function getIngredientNames(uint32[] calldata _codes) external view returns (string[] memory names) {
+        names = new string[](_codes.length);
+        for (uint256 i = 0; i < _codes.length; i++) {
+            names[i] = ingredients[_codes[i]].name;
+        }
+    }
+
+    function isRegistered(uint32 _code) external view returns (bool) {
+        return ingredients[_code].exists;
+    }
+
+    function getIngredientCount() external view returns (uint256) {
+        return ingredientCodes.length;
+    }
+
+    function getAllIngredientCodes() external view returns (uint32[] memory) {
+        return ingredientCodes;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,364 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint32, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SecretRecipeModule } from "./SecretRecipeModule.sol";
+
+// Chef profiles, verification, buyer ratings behind chef reputation and purchase disputes. Last
+// module in the chain behind SecretRecipeProtection.
+contract SecretRecipeCommunity is SecretRecipeModule {
+
+    modifier onlyVerifier() {
+        require(verifiers[msg.sender] || msg.sender == owner, "Not a verifier");
+        _;
+    }
+
+    constructor() SecretRecipeModule(address(0)) {}
+
+    function updateChefProfile(
+        string calldata _name,
+        string calldata _specialty,
+        string calldata _bio,
+        bytes32 _avatarHash,
+        string calldata _restaurant,
+        string calldata _location
+    ) external onlyDelegated {
+        ChefProfile storage profile = chefs[msg.sender];
+        require(profile.registered, "Chef not registered");
+        require(bytes(_name).length > 0, "Name cannot be empty");
+
+        profile.name = _name;
+        profile.specialty = _specialty;
+
+        ChefDetails storage details = chefDetails[msg.sender];
+        details.bio = _bio;
+        details.avatarHash = _avatarHash;
+        details.restaurant = _restaurant;
+        details.location = _location;
+
+        emit ChefProfileUpdated(msg.sender, _name, _specialty);
+    }
+
+    function setSocialLink(string calldata _key, string calldata _value) external onlyDelegated {
+        require(chefs[msg.sender].registered, "Chef not registered");
+        require(bytes(_key).length > 0, "Key cannot be empty");
+
+        ChefDetails storage details = chefDetails[msg.sender];
+        bool exists = bytes(details.socialLinks[_key]).length > 0;
+        if (bytes(_value).length == 0) {
+            require(exists, "Social link does not exist");
+            _removeSocialKey(details.socialKeys, _key);
+        } else if (!exists) {
+            require(details.socialKeys.length < MAX_SOCIAL_LINKS, "Too many social links");
+            details.socialKeys.push(_key);
+        }
+        details.socialLinks[_key] = _value;
+
+        emit SocialLinkUpdated(msg.sender, _key, _value);
+    }
+
+    function getChefDetails(address _chef) external view onlyDelegated returns (
+        string memory bio,
+        bytes32 avatarHash,
+        string memory restaurant,
+        string memory location
+    ) {
+        ChefDetails storage details = chefDetails[_chef];
+        return (details.bio, details.avatarHash, details.restaurant, details.location);
+    }
+
+    function getSocialLinks(address _chef) external view onlyDelegated returns (
+        string[] memory linkKeys,
+        string[] memory linkValues
+    ) {
+        ChefDetails storage details = chefDetails[_chef];
+        linkKeys = details.socialKeys;
+        linkValues = new string[](linkKeys.length);
+        for (uint256 i = 0; i < linkKeys.length; i++) {
+            linkValues[i] = details.socialLinks[linkKeys[i]];
+        }
+    }
+
+    function setVerifier(address _verifier, bool _enabled) external onlyDelegated onlyOwner {
+        require(_verifier != address(0), "Invalid verifier");
+        verifiers[_verifier] = _enabled;
+        emit VerifierUpdated(_verifier, _enabled);
+    }
+
+    function verifyChef(address _chef, string calldata _reason) external onlyDelegated onlyVerifier {
+        ChefProfile storage profile = _checkReviewableChef(_chef, _reason);
+        require(!profile.verified, "Chef already verified");
+
+        profile.verified = true;
+        profile.suspended = false;
+        emit ChefVerified(_chef, msg.sender, _reason);
+    }
+
+    function suspendChef(address _chef, string calldata _reason) external onlyDelegated onlyVerifier {
+        ChefProfile storage profile = _checkReviewableChef(_chef, _reason);
+        require(!profile.suspended, "Chef already suspended");
+
+        profile.verified = false;
+        profile.suspended = true;
+        emit ChefSuspended(_chef, msg.sender, _reason);
+    }
+
+    function unverifyChef(address _chef, string calldata _reason) external onlyDelegated onlyVerifier {
+        ChefProfile storage profile = _checkReviewableChef(_chef, _reason);
+        require(profile.verified || profile.suspended, "Chef already unverified");
+
+        profile.verified = false;
+        profile.suspended = false;
+        emit ChefUnverified(_chef, msg.sender, _reason);
+    }
+
+    function rateRecipe(uint256 _recipeId, uint8 _score) external onlyDelegated {
+        require(_score >= 1 && _score <= MAX_RATING, "Rating must be 1-5");
+        _recordRater(_recipeId);
+
+        RatingSummary storage rating = recipeRatings[_recipeId];
+        rating.published.count++;
+        rating.published.sum += _score;
+        _addChefRatings(recipes[_recipeId].chef, 1, _score);
+
+        emit RecipeRated(_recipeId, msg.sender, _score);
+    }
+
+    function rateRecipeEncrypted(
+        uint256 _recipeId,
+        externalEuint8 _score,
+        bytes memory _inputProof
+    ) external onlyDelegated {
+        _recordRater(_recipeId);
+
+        euint8 score = FHE.max(FHE.min(FHE.fromExternal(_score, _inputProof), MAX_RATING), 1);
+
+        RatingSummary storage rating = recipeRatings[_recipeId];
+        rating.pendingSum = FHE.add(rating.pendingSum, FHE.asEuint32(score));
+        rating.pendingCount++;
+        FHE.allowThis(rating.pendingSum);
+
+        emit EncryptedRatingSubmitted(_recipeId, msg.sender);
+    }
+
+    function publishRatingBatch(uint256 _recipeId) external onlyDelegated onlyExistingRecipe(_recipeId) {
+        RatingSummary storage rating = recipeRatings[_recipeId];
+        if (rating.batchCount > 0) {
+            require(block.timestamp >= rating.batchRequestedAt + RATING_BATCH_TIMEOUT, "Rating batch pending");
+        } else {
+            require(rating.pendingCount >= MIN_RATING_BATCH, "Not enough pending ratings");
+            rating.batchCount = rating.pendingCount;
+            rating.batchSum = rating.pendingSum;
+            rating.pendingCount = 0;
+            rating.pendingSum = euint32.wrap(0);
+        }
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(rating.batchSum);
+        uint256 decryptionRequestId = FHE.requestDecryption(cts, this.processRatingBatch.selector);
+        ratingBatchRecipe[decryptionRequestId] = _recipeId;
+        rating.batchRequestId = decryptionRequestId;
+        rating.batchRequestedAt = block.timestamp;
+    }
+
+    function processRatingBatch(
+        uint256 requestId,
+        bytes calldata cleartexts,
+        bytes memory decryptionProof
+    ) external onlyDelegated {
+        uint256 recipeId = ratingBatchRecipe[requestId];
+        require(recipeId != 0, "Unknown rating batch");
+
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+        delete ratingBatchRecipe[requestId];
+
+        RatingSummary storage rating = recipeRatings[recipeId];
+        if (requestId != rating.batchRequestId) {
+            return;
+        }
+
+        uint32 batchSum = abi.decode(cleartexts, (uint32));
+        rating.published.count += rating.batchCount;
+        rating.published.sum += batchSum;
+        _addChefRatings(recipes[recipeId].chef, rating.batchCount, batchSum);
+        rating.batchCount = 0;
+
+        emit RatingBatchPublished(recipeId, rating.published.count, rating.published.sum);
+    }
+
+    function setDisputeWindow(uint256 _window) external onlyDelegated onlyOwner {
+        require(_window <= MAX_DISPUTE_WINDOW, "Dispute window too long");
+        emit DisputeWindowUpdated(disputeWindow, _window);
+        disputeWindow = _window;
+    }
+
+    function openDispute(uint256 _requestId, string calldata _reason) external onlyDelegated {
+        AccessRequest storage request = accessRequests[_requestId];
+        require(request.requester == msg.sender, "Not requester");
+        require(paymentReleaseAt[_requestId] != 0, "No payment held");
+        require(block.timestamp < paymentReleaseAt[_requestId], "Dispute window closed");
+        require(bytes(_reason).length > 0, "Reason required");
+
+        Dispute storage dispute = disputes[_requestId];
+        require(dispute.status == DisputeStatus.None, "Dispute already opened");
+        dispute.status = DisputeStatus.Open;
+        dispute.reason = _reason;
+        dispute.openedAt = block.timestamp;
+
+        emit DisputeOpened(_requestId, request.recipeId, msg.sender, _reason);
+    }
+
+    function takeDispute(uint256 _requestId) external onlyDelegated {
+        require(arbitrators[msg.sender], "Not an arbitrator");
+        Dispute storage dispute = _getOpenDispute(_requestId);
+        require(dispute.arbitrator == address(0) || !arbitrators[dispute.arbitrator], "Dispute already assigned");
+
+        AccessRequest storage request = accessRequests[_requestId];
+        require(
+            msg.sender != request.requester && !_isRecipeOwner(request.recipeId, msg.sender),
+            "Arbitrator is a party"
+        );
+        if (dispute.arbitrator != address(0)) {
+            openArbitrations[request.recipeId][dispute.arbitrator]--;
+        }
+        dispute.arbitrator = msg.sender;
+        openArbitrations[request.recipeId][msg.sender]++;
+        _allowRecipe(request.recipeId, msg.sender);
+
+        emit DisputeAssigned(_requestId, msg.sender);
+    }
+
+    function resolveDispute(uint256 _requestId, bool _refund, string calldata _ruling) external onlyDelegated {
+        Dispute storage dispute = _getOpenDispute(_requestId);
+        require(dispute.arbitrator == msg.sender && arbitrators[msg.sender], "Not assigned arbitrator");
+        require(bytes(_ruling).length > 0, "Reason required");
+
+        dispute.ruling = _ruling;
+        AccessRequest storage request = accessRequests[_requestId];
+        openArbitrations[request.recipeId][msg.sender]--;
+        _addChefRatings(recipes[request.recipeId].chef, 1, _refund ? 1 : MAX_RATING);
+        if (_refund) {
+            dispute.status = DisputeStatus.Refunded;
+            delete paymentReleaseAt[_requestId];
+            _revokeLicense(request.recipeId, request.requester);
+            _refundRequest(_requestId);
+        } else {
+            dispute.status = DisputeStatus.Released;
+            _releasePayment(_requestId);
+        }
+
+        emit DisputeResolved(_requestId, msg.sender, _refund, _ruling);
+    }
+
+    function releasePayment(uint256 _requestId) external onlyDelegated {
+        require(paymentReleaseAt[_requestId] != 0, "No payment held");
+        require(block.timestamp >= paymentReleaseAt[_requestId], "Dispute window open");
+
+        Dispute storage dispute = disputes[_requestId];
+        if (dispute.status == DisputeStatus.Open) {
+            require(block.timestamp >= dispute.openedAt + ARBITRATION_PERIOD, "Dispute open");
+            dispute.status = DisputeStatus.Released;
+            if (dispute.arbitrator != address(0)) {
+                openArbitrations[accessRequests[_requestId].recipeId][dispute.arbitrator]--;
+            }
+            emit DisputeLapsed(_requestId);
+        }
+
+        _releasePayment(_requestId);
+    }
+
+    function getRecipeRating(
+        uint256 _recipeId
+    ) external view onlyDelegated onlyExistingRecipe(_recipeId) returns (
+        uint256 count,
+        uint256 sum,
+        uint256 pendingCount
+    ) {
+        RatingSummary storage rating = recipeRatings[_recipeId];
+        return (rating.published.count, rating.published.sum, rating.pendingCount + rating.batchCount);
+    }
+
+    function hasRatedRecipe(address _rater, uint256 _recipeId) external view onlyDelegated returns (bool) {
+        return hasRated[_recipeId][_rater];
+    }
+
+    function getChefStatus(address _chef) external view onlyDelegated returns (
+        bool registered,
+        bool verified,
+        bool suspended
+    ) {
+        ChefProfile storage profile = chefs[_chef];
+        return (profile.registered, profile.verified, profile.suspended);
+    }
+
+    function isVerifier(address _account) external view onlyDelegated returns (bool) {
+        return verifiers[_account] || _account == owner;
+    }
+
+    function getDispute(uint256 _requestId) external view onlyDelegated returns (
+        DisputeStatus status,
+        string memory reason,
+        address arbitrator,
+        string memory ruling,
+        uint256 openedAt
+    ) {
+        Dispute storage dispute = disputes[_requestId];
+        return (dispute.status, dispute.reason, dispute.arbitrator, dispute.ruling, dispute.openedAt);
+    }
+
+    function getPaymentReleaseTime(uint256 _requestId) external view onlyDelegated returns (uint256) {
+        return paymentReleaseAt[_requestId];
+    }
+
+    function _recordRater(uint256 _recipeId) private {
+        _checkRecipeExists(_recipeId);
+        require(hasAccess[msg.sender][_recipeId], "Only licensed buyers can rate");
+        require(!hasRated[_recipeId][msg.sender], "Already rated");
+        hasRated[_recipeId][msg.sender] = true;
+    }
+
+    function _addChefRatings(address _chef, uint256 _count, uint256 _sum) private {
+        RatingTotals storage totals = chefRatings[_chef];
+        totals.count += _count;
+        totals.sum += _sum;
+
+        uint256 reputation = (totals.sum * 100) / (totals.count * MAX_RATING);
+        chefs[_chef].reputation = reputation;
+        emit ReputationUpdated(_chef, reputation);
+    }
+
+    function _releasePayment(uint256 _requestId) private {
+        delete paymentReleaseAt[_requestId];
+
+        AccessRequest storage request = accessRequests[_requestId];
+        address chef = recipes[request.recipeId].chef;
+        _payChef(request.recipeId, chef, request.amount);
+
+        emit PaymentReleased(_requestId, chef, request.amount);
+    }
+
+    function _getOpenDispute(uint256 _requestId) private view returns (Dispute storage dispute) {
+        dispute = disputes[_requestId];
+        require(dispute.status == DisputeStatus.Open, "Dispute not open");
+    }
+
+    function _removeSocialKey(string[] storage _keys, string calldata _key) private {
+        bytes32 keyHash = keccak256(bytes(_key));
+        for (uint256 i = 0; i < _keys.length; i++) {
+            if (keccak256(bytes(_keys[i])) == keyHash) {
+                _keys[i] = _keys[_keys.length - 1];
+                _keys.pop();
+                return;
+            }
+        }
+    }
+
+    function _checkReviewableChef(
+        address _chef,
+        string calldata _reason
+    ) private view returns (ChefProfile storage profile) {
+        profile = chefs[_chef];
+        require(profile.registered, "Chef not registered");
+        require(bytes(_reason).length > 0, "Reason required");
+    }
+}
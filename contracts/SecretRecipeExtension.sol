@@ -0,0 +1,435 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, externalEuint32, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { RecipeSecretsLib, RecipeSecrets, IngredientEntry } from "./libraries/RecipeSecretsLib.sol";
+import { SecretRecipeModule } from "./SecretRecipeModule.sol";
+
+// Second part of SecretRecipeProtection's logic, split out to stay under the contract size limit.
+// SecretRecipeProtection forwards every selector it does not implement here via DELEGATECALL.
+contract SecretRecipeExtension is SecretRecipeModule {
+    using RecipeSecretsLib for RecipeSecrets;
+
+    struct IngredientInput {
+        externalEuint32 code;
+        externalEuint32 quantity;
+        externalEuint8 unit;
+    }
+
+    constructor(address _nextModule) SecretRecipeModule(_nextModule) {}
+
+    function setLicenseDuration(
+        uint256 _recipeId,
+        uint256 _duration
+    ) external onlyDelegated onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        defaultLicenseDuration[_recipeId] = _duration;
+        emit LicenseDurationUpdated(_recipeId, _duration);
+    }
+
+    function revokeAccess(
+        uint256 _recipeId,
+        address _user
+    ) external onlyDelegated onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        require(hasAccess[_user][_recipeId], "No license to revoke");
+
+        _revokeLicense(_recipeId, _user);
+        _rotateRecipeCiphertexts(_recipeId);
+    }
+
+    // Changed handles are granted only to the recipe's owners, as granting every licensee would cost one grant
+    // per account and handle. After a rotation, an added ingredient or a new method key, and while a new
+    // version is still being granted in batches, licensees call this for the current handles.
+    function refreshRecipeAccess(uint256 _recipeId) external onlyDelegated onlyExistingRecipe(_recipeId) {
+        require(
+            _hasActiveLicense(msg.sender, _recipeId) ||
+                _isRecipeOwner(_recipeId, msg.sender) ||
+                openArbitrations[_recipeId][msg.sender] > 0,
+            "No access to recipe"
+        );
+
+        _allowRecipe(_recipeId, msg.sender);
+
+        emit RecipeAccessRefreshed(_recipeId, msg.sender);
+    }
+
+    function setCoOwners(
+        uint256 _recipeId,
+        address[] calldata _coOwners,
+        uint256[] calldata _sharesBps
+    ) external onlyDelegated onlyExistingRecipe(_recipeId) {
+        _checkLeadChef(_recipeId);
+        require(_coOwners.length == _sharesBps.length, "Length mismatch");
+        require(_coOwners.length <= MAX_CO_OWNERS, "Too many co-owners");
+
+        address[] memory previous = recipeCoOwners[_recipeId];
+        for (uint256 i = 0; i < previous.length; i++) {
+            delete coOwnerShareBps[_recipeId][previous[i]];
+        }
+        delete recipeCoOwners[_recipeId];
+        ownerEpochs[_recipeId]++;
+
+        uint256 totalBps;
+        for (uint256 i = 0; i < _coOwners.length; i++) {
+            address coOwner = _coOwners[i];
+            require(coOwner != address(0) && coOwner != msg.sender, "Invalid co-owner");
+            require(chefs[coOwner].registered, "Chef not registered");
+            require(_sharesBps[i] > 0, "Share must be positive");
+            require(coOwnerShareBps[_recipeId][coOwner] == 0, "Duplicate co-owner");
+
+            coOwnerShareBps[_recipeId][coOwner] = _sharesBps[i];
+            recipeCoOwners[_recipeId].push(coOwner);
+            totalBps += _sharesBps[i];
+            _allowRecipe(_recipeId, coOwner);
+        }
+        require(totalBps <= BPS_DENOMINATOR, "Shares exceed 100%");
+
+        bool removed;
+        for (uint256 i = 0; i < previous.length; i++) {
+            removed = removed || !_isRecipeOwner(_recipeId, previous[i]);
+        }
+        if (removed) {
+            _rotateRecipeCiphertexts(_recipeId);
+        }
+
+        emit CoOwnersUpdated(_recipeId, _coOwners, _sharesBps);
+    }
+
+    function setApprovalPolicy(
+        uint256 _recipeId,
+        ApprovalPolicy _policy
+    ) external onlyDelegated onlyExistingRecipe(_recipeId) {
+        _checkLeadChef(_recipeId);
+        approvalPolicies[_recipeId] = _policy;
+        emit ApprovalPolicyUpdated(_recipeId, _policy);
+    }
+
+    function approveAccess(uint256 _requestId) external onlyDelegated {
+        AccessRequest storage request = accessRequests[_requestId];
+        require(!request.processed, "Request already processed");
+        bool decided = _castAccessVote(_requestId, true);
+        require(!_isRequestExpired(_requestId), "Request expired");
+
+        if (decided) {
+            _grantAccess(_requestId, _defaultExpiry(request.recipeId));
+        }
+    }
+
+    function approveAccessUntil(uint256 _requestId, uint256 _expiresAt) external onlyDelegated {
+        AccessRequest storage request = accessRequests[_requestId];
+        require(!request.processed, "Request already processed");
+        bool decided = _castAccessVote(_requestId, true);
+        require(!_isRequestExpired(_requestId), "Request expired");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Expiry must be in the future");
+
+        if (decided) {
+            _grantAccess(_requestId, _expiresAt);
+        }
+    }
+
+    function denyAccess(uint256 _requestId) external onlyDelegated {
+        AccessRequest storage request = accessRequests[_requestId];
+        require(!request.processed, "Request already processed");
+
+        if (_castAccessVote(_requestId, false)) {
+            _refundRequest(_requestId);
+            emit AccessDenied(_requestId, request.requester);
+        }
+    }
+
+    function getRecipeOwners(uint256 _recipeId) external view onlyDelegated onlyExistingRecipe(_recipeId) returns (
+        address[] memory owners,
+        uint256[] memory sharesBps
+    ) {
+        owners = _recipeOwners(_recipeId);
+        sharesBps = new uint256[](owners.length);
+        sharesBps[0] = BPS_DENOMINATOR;
+        for (uint256 i = 1; i < owners.length; i++) {
+            sharesBps[i] = coOwnerShareBps[_recipeId][owners[i]];
+            sharesBps[0] -= sharesBps[i];
+        }
+    }
+
+    function getApprovalPolicy(uint256 _recipeId) external view onlyDelegated returns (ApprovalPolicy) {
+        return approvalPolicies[_recipeId];
+    }
+
+    function getAccessVotes(uint256 _requestId) external view onlyDelegated returns (
+        uint256 approvals,
+        uint256 denials
+    ) {
+        AccessVotes storage votes = accessVotes[_requestId];
+        if (votes.ownerEpoch != ownerEpochs[accessRequests[_requestId].recipeId]) {
+            return (0, 0);
+        }
+        return (votes.approvals, votes.denials);
+    }
+
+    function publishRecipeVersion(
+        uint256 _recipeId,
+        IngredientInput[] calldata _ingredients,
+        externalEuint8 _spiceLevel,
+        externalEuint32 _cookingTime,
+        bytes memory _inputProof
+    ) external onlyDelegated onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        require(_ingredients.length > 0 && _ingredients.length <= MAX_INGREDIENTS, "Invalid ingredient count");
+
+        RecipeSecrets storage secrets = _archiveCurrentVersion(_recipeId);
+        _replaceIngredients(secrets, _ingredients, _inputProof);
+        secrets.spiceLevel = FHE.min(FHE.fromExternal(_spiceLevel, _inputProof), 10);
+        secrets.cookingTime = FHE.fromExternal(_cookingTime, _inputProof);
+        allergenFlags[_recipeId] = euint32.wrap(0);
+
+        secrets.allowThis();
+        _allowOwners(_recipeId);
+
+        emit RecipeUpdated(_recipeId, recipes[_recipeId].version);
+
+        versionGrantCursor[_recipeId] = 0;
+        _grantVersionBatch(_recipeId);
+    }
+
+    function grantVersionAccess(uint256 _recipeId) external onlyDelegated onlyExistingRecipe(_recipeId) {
+        require(versionGrantCursor[_recipeId] < recipeLicensees[_recipeId].length, "All licensees granted");
+        _grantVersionBatch(_recipeId);
+    }
+
+    function getVersionGrantProgress(uint256 _recipeId) external view onlyDelegated returns (
+        uint256 granted,
+        uint256 licenseeCount
+    ) {
+        return (versionGrantCursor[_recipeId], recipeLicensees[_recipeId].length);
+    }
+
+    function getRecipeVersion(
+        uint256 _recipeId
+    ) external view onlyDelegated onlyExistingRecipe(_recipeId) returns (uint256) {
+        return recipes[_recipeId].version;
+    }
+
+    function getRecipeVersionHandles(
+        uint256 _recipeId,
+        uint256 _version
+    ) external view onlyDelegated onlyExistingRecipe(_recipeId) returns (
+        euint8 spiceLevel,
+        euint32 cookingTime,
+        IngredientEntry[] memory ingredients
+    ) {
+        require(_hasRecipeAccess(msg.sender, _recipeId), "No access to recipe");
+        Recipe storage recipe = recipes[_recipeId];
+        require(_version > 0 && _version <= recipe.version, "Invalid version");
+
+        RecipeSecrets storage secrets = _version == recipe.version
+            ? recipe.secrets
+            : recipeVersionHistory[_recipeId][_version];
+        return (secrets.spiceLevel, secrets.cookingTime, secrets.ingredients);
+    }
+
+    function archiveRecipe(uint256 _recipeId) external onlyDelegated onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        Recipe storage recipe = recipes[_recipeId];
+        require(!recipe.archived, "Recipe already archived");
+
+        recipe.archived = true;
+        recipe.autoApprove = false;
+
+        uint256[] storage pending = pendingRequestIds[_recipeId];
+        uint256 refunded = pending.length;
+        while (pending.length > 0) {
+            uint256 requestId = pending[pending.length - 1];
+            _refundRequest(requestId);
+            emit AccessDenied(requestId, accessRequests[requestId].requester);
+        }
+
+        emit RecipeArchived(_recipeId, refunded);
+    }
+
+    function isRecipeArchived(
+        uint256 _recipeId
+    ) external view onlyDelegated onlyExistingRecipe(_recipeId) returns (bool) {
+        return recipes[_recipeId].archived;
+    }
+
+    function getArchivedRecipes(address _chef) external view onlyDelegated returns (uint256[] memory archived) {
+        uint256[] storage recipeIds = chefRecipes[_chef];
+        uint256 count = 0;
+        for (uint256 i = 0; i < recipeIds.length; i++) {
+            if (recipes[recipeIds[i]].archived) {
+                count++;
+            }
+        }
+
+        archived = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < recipeIds.length; i++) {
+            if (recipes[recipeIds[i]].archived) {
+                archived[index++] = recipeIds[i];
+            }
+        }
+    }
+
+    function setArbitrator(address _arbitrator, bool _enabled) external onlyDelegated onlyOwner {
+        require(_arbitrator != address(0), "Invalid arbitrator");
+        arbitrators[_arbitrator] = _enabled;
+        emit ArbitratorUpdated(_arbitrator, _enabled);
+    }
+
+    function isArbitrator(address _account) external view onlyDelegated returns (bool) {
+        return arbitrators[_account];
+    }
+
+    function createSubscriptionPlan(
+        uint256 _price,
+        uint256 _period,
+        string[] memory _categories
+    ) external onlyDelegated returns (uint256 planId) {
+        _checkActiveChef(msg.sender);
+        require(_period > 0, "Period must be positive");
+        require(_categories.length <= MAX_PLAN_CATEGORIES, "Too many categories");
+
+        SubscriptionPlan[] storage plans = subscriptionPlans[msg.sender];
+        planId = plans.length;
+        SubscriptionPlan storage plan = plans.push();
+        plan.price = _price;
+        plan.period = _period;
+        plan.categories = _categories;
+        plan.active = true;
+
+        emit SubscriptionPlanCreated(msg.sender, planId, _price, _period);
+    }
+
+    function setSubscriptionPlanActive(uint256 _planId, bool _active) external onlyDelegated {
+        require(_planId < subscriptionPlans[msg.sender].length, "Plan does not exist");
+        subscriptionPlans[msg.sender][_planId].active = _active;
+        emit SubscriptionPlanStatusChanged(msg.sender, _planId, _active);
+    }
+
+    function subscribe(address _chef, uint256 _planId) external payable onlyDelegated {
+        require(_planId < subscriptionPlans[_chef].length, "Plan does not exist");
+        SubscriptionPlan storage plan = subscriptionPlans[_chef][_planId];
+        require(plan.active, "Plan not active");
+        require(msg.value >= plan.price, "Insufficient payment");
+
+        Subscription storage subscription = subscriptions[msg.sender][_chef];
+        uint256 startsAt = block.timestamp;
+        if (subscription.expiresAt > block.timestamp) {
+            require(subscription.planId == _planId, "Subscribed to another plan");
+            startsAt = subscription.expiresAt;
+        }
+        subscription.planId = _planId;
+        subscription.expiresAt = startsAt + plan.period;
+
+        _payChef(0, _chef, msg.value);
+
+        emit Subscribed(msg.sender, _chef, _planId, subscription.expiresAt);
+    }
+
+    function revealSubscribedRecipe(uint256 _recipeId) external onlyDelegated onlyExistingRecipe(_recipeId) {
+        require(_hasSubscriptionAccess(msg.sender, _recipeId), "No active subscription");
+
+        _allowRecipe(_recipeId, msg.sender);
+
+        emit SubscriptionAccessGranted(_recipeId, msg.sender);
+    }
+
+    function getSubscription(address _subscriber, address _chef) external view onlyDelegated returns (
+        uint256 planId,
+        uint256 expiresAt
+    ) {
+        Subscription storage subscription = subscriptions[_subscriber][_chef];
+        return (subscription.planId, subscription.expiresAt);
+    }
+
+    function hasSubscriptionAccess(address _user, uint256 _recipeId) external view onlyDelegated returns (bool) {
+        return _hasSubscriptionAccess(_user, _recipeId);
+    }
+
+    function getSubscriptionPlan(address _chef, uint256 _planId) external view onlyDelegated returns (
+        uint256 price,
+        uint256 period,
+        string[] memory categories,
+        bool active
+    ) {
+        require(_planId < subscriptionPlans[_chef].length, "Plan does not exist");
+        SubscriptionPlan storage plan = subscriptionPlans[_chef][_planId];
+        return (plan.price, plan.period, plan.categories, plan.active);
+    }
+
+    function getSubscriptionPlanCount(address _chef) external view onlyDelegated returns (uint256) {
+        return subscriptionPlans[_chef].length;
+    }
+
+    function _checkLeadChef(uint256 _recipeId) private view {
+        require(recipes[_recipeId].chef == msg.sender, "Not lead chef");
+    }
+
+    function _castAccessVote(uint256 _requestId, bool _approve) private returns (bool) {
+        uint256 recipeId = accessRequests[_requestId].recipeId;
+        require(_isRecipeOwner(recipeId, msg.sender), "Not recipe owner");
+        if (approvalPolicies[recipeId] == ApprovalPolicy.AnyOwner) {
+            return true;
+        }
+
+        AccessVotes storage votes = accessVotes[_requestId];
+        uint256 epoch = ownerEpochs[recipeId];
+        if (votes.ownerEpoch != epoch) {
+            votes.ownerEpoch = epoch;
+            votes.approvals = 0;
+            votes.denials = 0;
+        }
+        require(!votes.voted[epoch][msg.sender], "Already voted");
+        votes.voted[epoch][msg.sender] = true;
+        uint256 count = _approve ? ++votes.approvals : ++votes.denials;
+
+        emit AccessVoteCast(_requestId, msg.sender, _approve);
+        return count * 2 > recipeCoOwners[recipeId].length + 1;
+    }
+
+    function _recipeOwners(uint256 _recipeId) private view returns (address[] memory owners) {
+        address[] storage coOwners = recipeCoOwners[_recipeId];
+        owners = new address[](coOwners.length + 1);
+        owners[0] = recipes[_recipeId].chef;
+        for (uint256 i = 0; i < coOwners.length; i++) {
+            owners[i + 1] = coOwners[i];
+        }
+    }
+
+    function _grantVersionBatch(uint256 _recipeId) private {
+        address[] storage licensees = recipeLicensees[_recipeId];
+        uint256 granted = versionGrantCursor[_recipeId];
+        uint256 end = granted + VERSION_GRANT_BATCH;
+        if (end > licensees.length) {
+            end = licensees.length;
+        }
+        for (uint256 i = granted; i < end; i++) {
+            if (_hasActiveLicense(licensees[i], _recipeId)) {
+                _allowRecipe(_recipeId, licensees[i]);
+            }
+        }
+        versionGrantCursor[_recipeId] = end;
+
+        emit VersionAccessGranted(_recipeId, recipes[_recipeId].version, end, licensees.length);
+    }
+
+    function _archiveCurrentVersion(uint256 _recipeId) private returns (RecipeSecrets storage) {
+        Recipe storage recipe = recipes[_recipeId];
+        recipe.secrets.copyTo(recipeVersionHistory[_recipeId][recipe.version]);
+        recipe.version++;
+        return recipe.secrets;
+    }
+
+    function _replaceIngredients(
+        RecipeSecrets storage _secrets,
+        IngredientInput[] calldata _inputs,
+        bytes memory _inputProof
+    ) private {
+        delete _secrets.ingredients;
+        for (uint256 i = 0; i < _inputs.length; i++) {
+            _secrets.ingredients.push(
+                IngredientEntry({
+                    code: FHE.fromExternal(_inputs[i].code, _inputProof),
+                    quantity: FHE.fromExternal(_inputs[i].quantity, _inputProof),
+                    unit: FHE.fromExternal(_inputs[i].unit, _inputProof)
+                })
+            );
+        }
+    }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { SecretRecipeStorage } from "./SecretRecipeStorage.sol";
+
+// Base for the contracts SecretRecipeProtection reaches through its fallback. Modules form a chain:
+// each forwards the selectors it does not implement to the next one, always via DELEGATECALL, so
+// every module runs against SecretRecipeProtection's storage and FHE permissions.
+abstract contract SecretRecipeModule is SecretRecipeStorage {
+    address private immutable SELF;
+    address public immutable nextModule;
+
+    modifier onlyDelegated() {
+        require(address(this) != SELF, "Direct calls not allowed");
+        _;
+    }
+
+    constructor(address _nextModule) {
+        SELF = address(this);
+        nextModule = _nextModule;
+    }
+
+    fallback() external payable {
+        address target = nextModule;
+        require(target != address(0), "Unknown function");
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
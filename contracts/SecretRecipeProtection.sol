@@ -1,92 +1,45 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint32, euint8, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import {
+    FHE,
+    euint32,
+    euint8,
+    euint256,
+    externalEuint32,
+    externalEuint8,
+    externalEuint256
+} from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { RecipeSecretsLib, RecipeSecrets, IngredientEntry } from "./libraries/RecipeSecretsLib.sol";
+import { SecretRecipeStorage } from "./SecretRecipeStorage.sol";
 
-contract SecretRecipeProtection is SepoliaConfig {
+contract SecretRecipeProtection is SecretRecipeStorage, SepoliaConfig {
+    using RecipeSecretsLib for RecipeSecrets;
 
-    address public owner;
-    uint256 public nextRecipeId;
+    address public immutable extension;
 
-    struct Recipe {
-        string name;
-        string category;
-        address chef;
-        euint32 secretIngredient1;
-        euint32 secretIngredient2;
-        euint32 secretIngredient3;
-        euint8 secretSpiceLevel;
-        euint32 secretCookingTime;
-        bool isPublic;
-        bool exists;
-        uint256 createdAt;
-        uint256 accessPrice;
-    }
-
-    struct ChefProfile {
-        string name;
-        string specialty;
-        uint256 recipeCount;
-        bool verified;
-        uint256 reputation;
-    }
-
-    struct AccessRequest {
-        uint256 recipeId;
-        address requester;
-        uint256 amount;
-        bool approved;
-        bool processed;
-        uint256 requestTime;
-    }
-
-    mapping(uint256 => Recipe) public recipes;
-    mapping(address => ChefProfile) public chefs;
-    mapping(uint256 => AccessRequest) public accessRequests;
-    mapping(address => mapping(uint256 => bool)) public hasAccess;
-    mapping(address => uint256[]) public chefRecipes;
-
-    uint256 public nextRequestId;
-
-    event RecipeCreated(uint256 indexed recipeId, address indexed chef, string name);
-    event AccessRequested(uint256 indexed requestId, uint256 indexed recipeId, address indexed requester);
-    event AccessGranted(uint256 indexed recipeId, address indexed requester);
-    event AccessDenied(uint256 indexed requestId, address indexed requester);
-    event ChefRegistered(address indexed chef, string name);
-    event RecipeRevealed(uint256 indexed recipeId, address indexed viewer);
-
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
-        _;
-    }
-
-    modifier onlyChef(uint256 _recipeId) {
-        require(recipes[_recipeId].chef == msg.sender, "Not recipe owner");
-        _;
-    }
-
-    modifier onlyExistingRecipe(uint256 _recipeId) {
-        require(recipes[_recipeId].exists, "Recipe does not exist");
-        _;
-    }
-
-    constructor() {
+    constructor(address _extension) {
+        require(_extension != address(0), "Invalid extension");
+        extension = _extension;
         owner = msg.sender;
+        treasury = msg.sender;
         nextRecipeId = 1;
         nextRequestId = 1;
     }
 
     function registerChef(string memory _name, string memory _specialty) external {
         require(bytes(_name).length > 0, "Name cannot be empty");
-        require(!chefs[msg.sender].verified, "Chef already registered");
+        require(!chefs[msg.sender].registered, "Chef already registered");
 
         chefs[msg.sender] = ChefProfile({
             name: _name,
             specialty: _specialty,
             recipeCount: 0,
-            verified: true,
-            reputation: 100
+            verified: false,
+            reputation: 100,
+            registered: true,
+            suspended: false
         });
 
         emit ChefRegistered(msg.sender, _name);
@@ -103,26 +56,82 @@ contract SecretRecipeProtection is SepoliaConfig {
         uint256 _accessPrice,
         bool _isPublic
     ) external {
-        require(chefs[msg.sender].verified, "Chef not registered");
+        _checkActiveChef(msg.sender);
         require(bytes(_name).length > 0, "Recipe name required");
         require(_spiceLevel <= 10, "Spice level must be 0-10");
 
+        _storeRecipe(
+            _name,
+            _category,
+            [FHE.asEuint32(_ingredient1), FHE.asEuint32(_ingredient2), FHE.asEuint32(_ingredient3)],
+            FHE.asEuint8(_spiceLevel),
+            FHE.asEuint32(_cookingTime),
+            _accessPrice,
+            _isPublic
+        );
+    }
+
+    function createEncryptedRecipe(
+        string memory _name,
+        string memory _category,
+        externalEuint32 _ingredient1,
+        externalEuint32 _ingredient2,
+        externalEuint32 _ingredient3,
+        externalEuint8 _spiceLevel,
+        externalEuint32 _cookingTime,
+        bytes memory _inputProof,
+        uint256 _accessPrice,
+        bool _isPublic
+    ) external {
+        _checkActiveChef(msg.sender);
+        require(bytes(_name).length > 0, "Recipe name required");
+
+        _storeRecipe(
+            _name,
+            _category,
+            [
+                FHE.fromExternal(_ingredient1, _inputProof),
+                FHE.fromExternal(_ingredient2, _inputProof),
+                FHE.fromExternal(_ingredient3, _inputProof)
+            ],
+            // Encrypted spice level cannot be range-checked, so clamp it to 10 instead
+            FHE.min(FHE.fromExternal(_spiceLevel, _inputProof), 10),
+            FHE.fromExternal(_cookingTime, _inputProof),
+            _accessPrice,
+            _isPublic
+        );
+    }
+
+    function _storeRecipe(
+        string memory _name,
+        string memory _category,
+        euint32[3] memory _ingredientCodes,
+        euint8 _spiceLevel,
+        euint32 _cookingTime,
+        uint256 _accessPrice,
+        bool _isPublic
+    ) private {
         uint256 currentRecipeId = nextRecipeId;
 
-        recipes[currentRecipeId] = Recipe({
-            name: _name,
-            category: _category,
-            chef: msg.sender,
-            secretIngredient1: FHE.asEuint32(_ingredient1),
-            secretIngredient2: FHE.asEuint32(_ingredient2),
-            secretIngredient3: FHE.asEuint32(_ingredient3),
-            secretSpiceLevel: FHE.asEuint8(_spiceLevel),
-            secretCookingTime: FHE.asEuint32(_cookingTime),
-            isPublic: _isPublic,
-            exists: true,
-            createdAt: block.timestamp,
-            accessPrice: _accessPrice
-        });
+        Recipe storage recipe = recipes[currentRecipeId];
+        recipe.name = _name;
+        recipe.category = _category;
+        recipe.chef = msg.sender;
+        recipe.secrets.spiceLevel = _spiceLevel;
+        recipe.secrets.cookingTime = _cookingTime;
+        recipe.isPublic = _isPublic;
+        recipe.exists = true;
+        recipe.createdAt = block.timestamp;
+        recipe.accessPrice = _accessPrice;
+        recipe.version = 1;
+
+        euint32 unspecifiedQuantity = FHE.asEuint32(0);
+        euint8 unspecifiedUnit = FHE.asEuint8(0);
+        for (uint256 i = 0; i < _ingredientCodes.length; i++) {
+            recipe.secrets.ingredients.push(
+                IngredientEntry({ code: _ingredientCodes[i], quantity: unspecifiedQuantity, unit: unspecifiedUnit })
+            );
+        }
 
         _setupRecipePermissions(currentRecipeId);
 
@@ -135,24 +144,102 @@ contract SecretRecipeProtection is SepoliaConfig {
 
     function _setupRecipePermissions(uint256 _recipeId) private {
         Recipe storage recipe = recipes[_recipeId];
+        recipe.secrets.allowThis();
+        _allowRecipe(_recipeId, recipe.chef);
+    }
 
-        FHE.allowThis(recipe.secretIngredient1);
-        FHE.allowThis(recipe.secretIngredient2);
-        FHE.allowThis(recipe.secretIngredient3);
-        FHE.allowThis(recipe.secretSpiceLevel);
-        FHE.allowThis(recipe.secretCookingTime);
+    function addIngredient(
+        uint256 _recipeId,
+        externalEuint32 _code,
+        externalEuint32 _quantity,
+        externalEuint8 _unit,
+        bytes memory _inputProof
+    ) external onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        IngredientEntry[] storage ingredients = recipes[_recipeId].secrets.ingredients;
+        require(ingredients.length < MAX_INGREDIENTS, "Too many ingredients");
+
+        ingredients.push(
+            IngredientEntry({
+                code: FHE.fromExternal(_code, _inputProof),
+                quantity: FHE.fromExternal(_quantity, _inputProof),
+                unit: FHE.fromExternal(_unit, _inputProof)
+            })
+        );
+
+        IngredientEntry storage entry = ingredients[ingredients.length - 1];
+        RecipeSecretsLib.allowIngredient(entry, address(this));
+        RecipeSecretsLib.allowIngredient(entry, msg.sender);
+        address[] storage coOwners = recipeCoOwners[_recipeId];
+        for (uint256 i = 0; i < coOwners.length; i++) {
+            RecipeSecretsLib.allowIngredient(entry, coOwners[i]);
+        }
+        allergenFlags[_recipeId] = euint32.wrap(0);
+
+        emit IngredientAdded(_recipeId, ingredients.length - 1);
+    }
+
+    function removeIngredient(
+        uint256 _recipeId,
+        uint256 _index
+    ) external onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        IngredientEntry[] storage ingredients = recipes[_recipeId].secrets.ingredients;
+        require(_index < ingredients.length, "Invalid ingredient index");
+
+        ingredients[_index] = ingredients[ingredients.length - 1];
+        ingredients.pop();
+
+        emit IngredientRemoved(_recipeId, _index);
+    }
+
+    function setPreparationMethod(
+        uint256 _recipeId,
+        bytes calldata _encryptedSteps,
+        uint32 _stepCount,
+        externalEuint256 _methodKey,
+        bytes memory _inputProof
+    ) external onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        require(_encryptedSteps.length > 0, "Method cannot be empty");
+        require(_encryptedSteps.length <= MAX_METHOD_BYTES, "Method too large");
+
+        PreparationMethod storage method = preparationMethods[_recipeId];
+        method.encryptedSteps = _encryptedSteps;
+        method.contentHash = keccak256(_encryptedSteps);
+        method.stepCount = _stepCount;
+        method.methodKey = FHE.fromExternal(_methodKey, _inputProof);
+        method.updatedAt = block.timestamp;
+
+        FHE.allowThis(method.methodKey);
+        if (recipes[_recipeId].isPublic) {
+            FHE.makePubliclyDecryptable(method.methodKey);
+        }
+
+        FHE.allow(method.methodKey, msg.sender);
+        address[] storage coOwners = recipeCoOwners[_recipeId];
+        for (uint256 i = 0; i < coOwners.length; i++) {
+            FHE.allow(method.methodKey, coOwners[i]);
+        }
+
+        emit PreparationMethodUpdated(_recipeId, method.contentHash, _stepCount);
+    }
+
+    function getPreparationMethod(uint256 _recipeId) external view onlyExistingRecipe(_recipeId) returns (
+        bytes memory encryptedSteps,
+        bytes32 contentHash,
+        uint32 stepCount,
+        euint256 methodKey,
+        uint256 updatedAt
+    ) {
+        require(_hasRecipeAccess(msg.sender, _recipeId), "No access to recipe");
 
-        FHE.allow(recipe.secretIngredient1, recipe.chef);
-        FHE.allow(recipe.secretIngredient2, recipe.chef);
-        FHE.allow(recipe.secretIngredient3, recipe.chef);
-        FHE.allow(recipe.secretSpiceLevel, recipe.chef);
-        FHE.allow(recipe.secretCookingTime, recipe.chef);
+        PreparationMethod storage method = preparationMethods[_recipeId];
+        return (method.encryptedSteps, method.contentHash, method.stepCount, method.methodKey, method.updatedAt);
     }
 
     function requestRecipeAccess(uint256 _recipeId) external payable onlyExistingRecipe(_recipeId) {
         Recipe storage recipe = recipes[_recipeId];
         require(!recipe.isPublic, "Recipe is already public");
-        require(!hasAccess[msg.sender][_recipeId], "Already has access");
+        require(!recipe.archived, "Recipe is archived");
+        require(!_hasActiveLicense(msg.sender, _recipeId), "Already has access");
         require(msg.value >= recipe.accessPrice, "Insufficient payment");
 
         accessRequests[nextRequestId] = AccessRequest({
@@ -165,85 +252,178 @@ contract SecretRecipeProtection is SepoliaConfig {
         });
 
         emit AccessRequested(nextRequestId, _recipeId, msg.sender);
+
+        if (recipe.autoApprove) {
+            _grantAccess(nextRequestId, _defaultExpiry(_recipeId));
+        } else {
+            pendingRequestIds[_recipeId].push(nextRequestId);
+            pendingRequestPosition[nextRequestId] = pendingRequestIds[_recipeId].length;
+        }
         nextRequestId++;
     }
 
-    function approveAccess(uint256 _requestId) external {
+    function cancelAccessRequest(uint256 _requestId) external {
         AccessRequest storage request = accessRequests[_requestId];
+        require(request.requester == msg.sender, "Not requester");
         require(!request.processed, "Request already processed");
-        require(recipes[request.recipeId].chef == msg.sender, "Not recipe owner");
-
-        request.approved = true;
-        request.processed = true;
-        hasAccess[request.requester][request.recipeId] = true;
-
-        Recipe storage recipe = recipes[request.recipeId];
-        FHE.allow(recipe.secretIngredient1, request.requester);
-        FHE.allow(recipe.secretIngredient2, request.requester);
-        FHE.allow(recipe.secretIngredient3, request.requester);
-        FHE.allow(recipe.secretSpiceLevel, request.requester);
-        FHE.allow(recipe.secretCookingTime, request.requester);
 
-        payable(msg.sender).transfer(request.amount);
+        _refundRequest(_requestId);
 
-        emit AccessGranted(request.recipeId, request.requester);
+        emit AccessRequestCancelled(_requestId, msg.sender);
     }
 
-    function denyAccess(uint256 _requestId) external {
+    function expireAccessRequest(uint256 _requestId) external {
         AccessRequest storage request = accessRequests[_requestId];
+        require(request.requester != address(0), "Request does not exist");
         require(!request.processed, "Request already processed");
-        require(recipes[request.recipeId].chef == msg.sender, "Not recipe owner");
+        require(_isRequestExpired(_requestId), "Request not expired");
+
+        _refundRequest(_requestId);
+
+        emit AccessRequestExpired(_requestId, request.requester);
+    }
+
+    function isRequestExpired(uint256 _requestId) public view returns (bool) {
+        return _isRequestExpired(_requestId);
+    }
+
+    function withdraw() external {
+        _withdraw(payable(msg.sender));
+    }
+
+    function withdrawTo(address payable _to) external {
+        require(_to != address(0), "Invalid recipient");
+        _withdraw(_to);
+    }
 
-        request.approved = false;
-        request.processed = true;
+    function setPlatformFee(uint256 _feeBps) external onlyOwner {
+        require(_feeBps <= MAX_PLATFORM_FEE_BPS, "Fee exceeds maximum");
+        emit PlatformFeeUpdated(platformFeeBps, _feeBps);
+        platformFeeBps = _feeBps;
+    }
+
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury");
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+    function calculatePlatformFee(uint256 _amount) external view returns (uint256 fee, uint256 chefAmount) {
+        return _calculatePlatformFee(_amount);
+    }
+
+    function getFeeInfo() external view returns (
+        uint256 feeBps,
+        address feeTreasury,
+        uint256 collected
+    ) {
+        return (platformFeeBps, treasury, totalPlatformFees);
+    }
+
+    function _withdraw(address payable _to) private {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
 
-        payable(request.requester).transfer(request.amount);
+        pendingWithdrawals[msg.sender] = 0;
+        (bool success, ) = _to.call{ value: amount }("");
+        require(success, "Withdrawal failed");
 
-        emit AccessDenied(_requestId, request.requester);
+        emit Withdrawal(msg.sender, _to, amount);
     }
 
     function revealRecipeSecrets(uint256 _recipeId) external onlyExistingRecipe(_recipeId) {
         Recipe storage recipe = recipes[_recipeId];
-        require(recipe.isPublic || hasAccess[msg.sender][_recipeId] || recipe.chef == msg.sender, "No access to recipe");
+        require(recipe.isPublic, "Private recipes require user decryption");
 
-        bytes32[] memory cts = new bytes32[](5);
-        cts[0] = FHE.toBytes32(recipe.secretIngredient1);
-        cts[1] = FHE.toBytes32(recipe.secretIngredient2);
-        cts[2] = FHE.toBytes32(recipe.secretIngredient3);
-        cts[3] = FHE.toBytes32(recipe.secretSpiceLevel);
-        cts[4] = FHE.toBytes32(recipe.secretCookingTime);
+        bytes32[] memory cts = recipe.secrets.toHandles();
+        uint256 decryptionRequestId = FHE.requestDecryption(cts, this.processRecipeReveal.selector);
 
-        FHE.requestDecryption(cts, this.processRecipeReveal.selector);
+        RecipeReveal storage reveal = recipeReveals[decryptionRequestId];
+        reveal.recipeId = _recipeId;
+        reveal.viewer = msg.sender;
+        reveal.status = RevealStatus.Pending;
+        latestRevealRequest[msg.sender][_recipeId] = decryptionRequestId;
 
         emit RecipeRevealed(_recipeId, msg.sender);
     }
 
     function processRecipeReveal(
         uint256 requestId,
-        bytes memory cleartexts,
+        bytes calldata cleartexts,
         bytes memory decryptionProof
     ) external {
+        RecipeReveal storage reveal = recipeReveals[requestId];
+        require(reveal.status == RevealStatus.Pending, "Reveal not pending");
+
         FHE.checkSignatures(requestId, cleartexts, decryptionProof);
 
-        (uint32 ingredient1, uint32 ingredient2, uint32 ingredient3, uint8 spiceLevel, uint32 cookingTime) =
-            abi.decode(cleartexts, (uint32, uint32, uint32, uint8, uint32));
+        (reveal.spiceLevel, reveal.cookingTime) = abi.decode(cleartexts[:64], (uint8, uint32));
+
+        for (uint256 offset = 64; offset < cleartexts.length; offset += 96) {
+            (uint32 code, uint32 quantity, uint8 unit) =
+                abi.decode(cleartexts[offset:offset + 96], (uint32, uint32, uint8));
+            reveal.ingredientCodes.push(code);
+            reveal.ingredientQuantities.push(quantity);
+            reveal.ingredientUnits.push(unit);
+        }
+
+        reveal.status = RevealStatus.Fulfilled;
+
+        emit RecipeRevealFulfilled(requestId, reveal.recipeId, reveal.viewer);
+    }
+
+    function getRevealStatus(uint256 _decryptionRequestId) external view returns (RevealStatus) {
+        return recipeReveals[_decryptionRequestId].status;
+    }
+
+    function getRevealedSecrets(uint256 _decryptionRequestId) external view returns (
+        uint256 recipeId,
+        address viewer,
+        uint8 spiceLevel,
+        uint32 cookingTime,
+        uint32[] memory ingredientCodes,
+        uint32[] memory ingredientQuantities,
+        uint8[] memory ingredientUnits
+    ) {
+        RecipeReveal storage reveal = recipeReveals[_decryptionRequestId];
+        require(reveal.status == RevealStatus.Fulfilled, "Reveal not fulfilled");
+        return (
+            reveal.recipeId,
+            reveal.viewer,
+            reveal.spiceLevel,
+            reveal.cookingTime,
+            reveal.ingredientCodes,
+            reveal.ingredientQuantities,
+            reveal.ingredientUnits
+        );
     }
 
     function makeRecipePublic(uint256 _recipeId) external onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
         recipes[_recipeId].isPublic = true;
+
+        euint256 methodKey = preparationMethods[_recipeId].methodKey;
+        if (FHE.isInitialized(methodKey)) {
+            FHE.makePubliclyDecryptable(methodKey);
+        }
     }
 
     function updateAccessPrice(uint256 _recipeId, uint256 _newPrice) external onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
         recipes[_recipeId].accessPrice = _newPrice;
     }
 
+    function setAutoApprove(uint256 _recipeId, bool _enabled) external onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        recipes[_recipeId].autoApprove = _enabled;
+        emit AutoApproveUpdated(_recipeId, _enabled);
+    }
+
     function getRecipeInfo(uint256 _recipeId) external view onlyExistingRecipe(_recipeId) returns (
         string memory name,
         string memory category,
         address chef,
         bool isPublic,
         uint256 accessPrice,
-        uint256 createdAt
+        uint256 createdAt,
+        bool autoApprove
     ) {
         Recipe storage recipe = recipes[_recipeId];
         return (
@@ -252,7 +432,8 @@ contract SecretRecipeProtection is SepoliaConfig {
             recipe.chef,
             recipe.isPublic,
             recipe.accessPrice,
-            recipe.createdAt
+            recipe.createdAt,
+            recipe.autoApprove
         );
     }
 
@@ -261,7 +442,22 @@ contract SecretRecipeProtection is SepoliaConfig {
     }
 
     function checkRecipeAccess(address _user, uint256 _recipeId) external view returns (bool) {
-        return hasAccess[_user][_recipeId] || recipes[_recipeId].chef == _user || recipes[_recipeId].isPublic;
+        return _hasRecipeAccess(_user, _recipeId);
+    }
+
+    function getRecipeHandles(uint256 _recipeId) external view onlyExistingRecipe(_recipeId) returns (
+        euint8 spiceLevel,
+        euint32 cookingTime,
+        IngredientEntry[] memory ingredients
+    ) {
+        require(_hasRecipeAccess(msg.sender, _recipeId), "No access to recipe");
+
+        Recipe storage recipe = recipes[_recipeId];
+        return (recipe.secrets.spiceLevel, recipe.secrets.cookingTime, recipe.secrets.ingredients);
+    }
+
+    function getIngredientCount(uint256 _recipeId) external view onlyExistingRecipe(_recipeId) returns (uint256) {
+        return recipes[_recipeId].secrets.ingredients.length;
     }
 
     function getChefProfile(address _chef) external view returns (
@@ -281,15 +477,25 @@ contract SecretRecipeProtection is SepoliaConfig {
         );
     }
 
-    function compareSpiceLevels(uint256 _recipeId1, uint256 _recipeId2) external returns (bytes32) {
-        require(hasAccess[msg.sender][_recipeId1] || recipes[_recipeId1].chef == msg.sender, "No access to first recipe");
-        require(hasAccess[msg.sender][_recipeId2] || recipes[_recipeId2].chef == msg.sender, "No access to second recipe");
-
-        ebool isFirstSpicier = FHE.gt(recipes[_recipeId1].secretSpiceLevel, recipes[_recipeId2].secretSpiceLevel);
-        return FHE.toBytes32(isFirstSpicier);
-    }
-
     function getRecipeCount() external view returns (uint256) {
         return nextRecipeId - 1;
     }
+
+    // Selectors not implemented here are served by SecretRecipeExtension and the modules it chains to,
+    // executed against this contract's storage and FHE permissions
+    fallback() external payable {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,476 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, ebool, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { RecipeSecrets, IngredientEntry } from "./libraries/RecipeSecretsLib.sol";
+import { SecretRecipeModule } from "./SecretRecipeModule.sol";
+
+// Encrypted questions about recipes that answer without revealing the recipe itself. Second module
+// in the chain behind SecretRecipeProtection.
+contract SecretRecipeQueries is SecretRecipeModule {
+
+    constructor(address _nextModule) SecretRecipeModule(_nextModule) {}
+
+    function compareRecipes(
+        uint256 _recipeId1,
+        uint256 _recipeId2,
+        RecipeField _field,
+        ComparisonOp _op,
+        uint256 _index1,
+        uint256 _index2
+    )
+        public
+        onlyDelegated
+        onlyExistingRecipe(_recipeId1)
+        onlyExistingRecipe(_recipeId2)
+        returns (uint256 comparisonId)
+    {
+        require(_hasRecipeAccess(msg.sender, _recipeId1), "No access to first recipe");
+        require(_hasRecipeAccess(msg.sender, _recipeId2), "No access to second recipe");
+
+        ebool result = _compareField(
+            recipes[_recipeId1].secrets,
+            recipes[_recipeId2].secrets,
+            _field,
+            _op,
+            _index1,
+            _index2
+        );
+        FHE.allowThis(result);
+        FHE.allow(result, msg.sender);
+
+        comparisonId = ++comparisonCount;
+        recipeComparisons[comparisonId] = RecipeComparison({
+            requester: msg.sender,
+            recipeId1: _recipeId1,
+            recipeId2: _recipeId2,
+            field: _field,
+            op: _op,
+            result: result,
+            createdAt: block.timestamp
+        });
+
+        emit RecipesCompared(comparisonId, msg.sender, _recipeId1, _recipeId2, FHE.toBytes32(result));
+    }
+
+    function getComparison(uint256 _comparisonId) external view onlyDelegated returns (
+        address requester,
+        uint256 recipeId1,
+        uint256 recipeId2,
+        RecipeField field,
+        ComparisonOp op,
+        ebool result,
+        uint256 createdAt
+    ) {
+        RecipeComparison storage comparison = recipeComparisons[_comparisonId];
+        require(comparison.requester != address(0), "Comparison does not exist");
+        return (
+            comparison.requester,
+            comparison.recipeId1,
+            comparison.recipeId2,
+            comparison.field,
+            comparison.op,
+            comparison.result,
+            comparison.createdAt
+        );
+    }
+
+    function compareSpiceLevels(uint256 _recipeId1, uint256 _recipeId2) external onlyDelegated returns (bytes32) {
+        uint256 comparisonId =
+            compareRecipes(_recipeId1, _recipeId2, RecipeField.SpiceLevel, ComparisonOp.GreaterThan, 0, 0);
+        return FHE.toBytes32(recipeComparisons[comparisonId].result);
+    }
+
+    function checkIngredientOverlap(
+        uint256 _recipeId1,
+        uint256 _recipeId2
+    )
+        external
+        onlyDelegated
+        onlyExistingRecipe(_recipeId1)
+        onlyExistingRecipe(_recipeId2)
+        returns (uint256 checkId)
+    {
+        require(_recipeId1 != _recipeId2, "Cannot compare a recipe with itself");
+        address chef1 = recipes[_recipeId1].chef;
+        address chef2 = recipes[_recipeId2].chef;
+
+        bool isArbitrator = arbitrators[msg.sender];
+        if (!isArbitrator) {
+            require(msg.sender == chef1 || msg.sender == chef2, "Not a party to these recipes");
+            require(
+                _hasRecipeAccess(msg.sender, _recipeId1) && _hasRecipeAccess(msg.sender, _recipeId2),
+                "No access to both recipes"
+            );
+        }
+
+        euint8 sharedCount = _countSharedIngredients(
+            recipes[_recipeId1].secrets.ingredients,
+            recipes[_recipeId2].secrets.ingredients
+        );
+        FHE.allowThis(sharedCount);
+        FHE.allow(sharedCount, chef1);
+        FHE.allow(sharedCount, chef2);
+        if (isArbitrator) {
+            FHE.allow(sharedCount, msg.sender);
+        }
+
+        checkId = ++overlapCheckCount;
+        overlapChecks[checkId] = OverlapCheck({
+            requester: msg.sender,
+            recipeId1: _recipeId1,
+            recipeId2: _recipeId2,
+            sharedCount: sharedCount,
+            createdAt: block.timestamp
+        });
+
+        emit IngredientOverlapComputed(checkId, msg.sender, _recipeId1, _recipeId2, FHE.toBytes32(sharedCount));
+    }
+
+    function getOverlapCheck(uint256 _checkId) external view onlyDelegated returns (
+        address requester,
+        uint256 recipeId1,
+        uint256 recipeId2,
+        euint8 sharedCount,
+        uint256 createdAt
+    ) {
+        OverlapCheck storage check = overlapChecks[_checkId];
+        require(check.requester != address(0), "Overlap check does not exist");
+        return (check.requester, check.recipeId1, check.recipeId2, check.sharedCount, check.createdAt);
+    }
+
+    function setAllergens(
+        uint256 _recipeId,
+        externalEuint32 _allergenFlags,
+        bytes memory _inputProof
+    ) external onlyDelegated onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        euint32 flags = FHE.fromExternal(_allergenFlags, _inputProof);
+        allergenFlags[_recipeId] = flags;
+        FHE.allowThis(flags);
+        FHE.allow(flags, msg.sender);
+
+        emit AllergensDeclared(_recipeId);
+    }
+
+    function checkAllergen(
+        uint256 _recipeId,
+        externalEuint32 _allergenFlags,
+        bytes memory _inputProof
+    ) external onlyDelegated onlyExistingRecipe(_recipeId) returns (uint256 checkId) {
+        euint32 declared = allergenFlags[_recipeId];
+        require(FHE.isInitialized(declared), "Allergens not declared");
+
+        euint32 queried = FHE.fromExternal(_allergenFlags, _inputProof);
+        ebool contains = FHE.ne(FHE.and(declared, queried), 0);
+        FHE.allowThis(contains);
+        FHE.allow(contains, msg.sender);
+
+        checkId = ++allergenCheckCount;
+        allergenChecks[checkId] = AllergenCheck({
+            requester: msg.sender,
+            recipeId: _recipeId,
+            contains: contains,
+            createdAt: block.timestamp
+        });
+
+        emit AllergenChecked(checkId, msg.sender, _recipeId, FHE.toBytes32(contains));
+    }
+
+    function getAllergenCheck(uint256 _checkId) external view onlyDelegated returns (
+        address requester,
+        uint256 recipeId,
+        ebool contains,
+        uint256 createdAt
+    ) {
+        AllergenCheck storage check = allergenChecks[_checkId];
+        require(check.requester != address(0), "Allergen check does not exist");
+        return (check.requester, check.recipeId, check.contains, check.createdAt);
+    }
+
+    function setNutrition(
+        uint256 _recipeId,
+        externalEuint32 _calories,
+        externalEuint32 _protein,
+        externalEuint32 _carbs,
+        externalEuint32 _fat,
+        bytes memory _inputProof
+    ) external onlyDelegated onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        Nutrition storage nutrition = recipeNutrition[_recipeId];
+        nutrition.calories = FHE.fromExternal(_calories, _inputProof);
+        nutrition.protein = FHE.fromExternal(_protein, _inputProof);
+        nutrition.carbs = FHE.fromExternal(_carbs, _inputProof);
+        nutrition.fat = FHE.fromExternal(_fat, _inputProof);
+
+        _allowNutrition(nutrition, address(this));
+        _allowNutrition(nutrition, msg.sender);
+
+        emit NutritionUpdated(_recipeId);
+    }
+
+    function computeMealPlan(uint256[] calldata _recipeIds) external onlyDelegated returns (uint256 mealPlanId) {
+        require(_recipeIds.length > 0, "No recipes");
+        require(_recipeIds.length <= MAX_MEAL_PLAN_RECIPES, "Too many recipes");
+
+        mealPlanId = ++mealPlanCount;
+        MealPlan storage mealPlan = mealPlans[mealPlanId];
+        mealPlan.requester = msg.sender;
+        mealPlan.recipeIds = _recipeIds;
+        mealPlan.createdAt = block.timestamp;
+
+        Nutrition storage totals = mealPlan.totals;
+        totals.calories = FHE.asEuint32(0);
+        totals.protein = FHE.asEuint32(0);
+        totals.carbs = FHE.asEuint32(0);
+        totals.fat = FHE.asEuint32(0);
+
+        for (uint256 i = 0; i < _recipeIds.length; i++) {
+            uint256 recipeId = _recipeIds[i];
+            require(recipes[recipeId].exists, "Recipe does not exist");
+            require(_hasRecipeAccess(msg.sender, recipeId), "No access to recipe");
+
+            Nutrition storage nutrition = recipeNutrition[recipeId];
+            require(FHE.isInitialized(nutrition.calories), "Nutrition not set");
+            totals.calories = FHE.add(totals.calories, nutrition.calories);
+            totals.protein = FHE.add(totals.protein, nutrition.protein);
+            totals.carbs = FHE.add(totals.carbs, nutrition.carbs);
+            totals.fat = FHE.add(totals.fat, nutrition.fat);
+        }
+
+        _allowNutrition(totals, address(this));
+        _allowNutrition(totals, msg.sender);
+
+        emit MealPlanComputed(mealPlanId, msg.sender, _recipeIds);
+    }
+
+    function getMealPlan(uint256 _mealPlanId) external view onlyDelegated returns (
+        address requester,
+        uint256[] memory recipeIds,
+        euint32 calories,
+        euint32 protein,
+        euint32 carbs,
+        euint32 fat,
+        uint256 createdAt
+    ) {
+        MealPlan storage mealPlan = mealPlans[_mealPlanId];
+        require(mealPlan.requester != address(0), "Meal plan does not exist");
+        Nutrition storage totals = mealPlan.totals;
+        return (
+            mealPlan.requester,
+            mealPlan.recipeIds,
+            totals.calories,
+            totals.protein,
+            totals.carbs,
+            totals.fat,
+            mealPlan.createdAt
+        );
+    }
+
+    function hasNutrition(uint256 _recipeId) external view onlyDelegated returns (bool) {
+        return FHE.isInitialized(recipeNutrition[_recipeId].calories);
+    }
+
+    function setBaseServings(
+        uint256 _recipeId,
+        uint32 _servings
+    ) external onlyDelegated onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        require(_servings > 0 && _servings <= MAX_SERVINGS, "Invalid servings");
+        recipes[_recipeId].baseServings = _servings;
+        emit BaseServingsUpdated(_recipeId, _servings);
+    }
+
+    // Computes quantity * servings / baseServings for every ingredient, rounding down. Multiplying
+    // first keeps precision; quantities above 2^32 / servings would wrap, which no real recipe reaches.
+    function scaleRecipe(
+        uint256 _recipeId,
+        uint32 _servings
+    ) external onlyDelegated onlyExistingRecipe(_recipeId) returns (uint256 scaleId) {
+        Recipe storage recipe = recipes[_recipeId];
+        require(_hasRecipeAccess(msg.sender, _recipeId), "No access to recipe");
+        require(recipe.baseServings > 0, "Base servings not set");
+        require(_servings > 0 && _servings <= MAX_SERVINGS, "Invalid servings");
+
+        IngredientEntry[] storage ingredients = recipe.secrets.ingredients;
+        require(ingredients.length <= MAX_SCALED_INGREDIENTS, "Too many ingredients to scale");
+
+        scaleId = ++scaledRecipeCount;
+        ScaledRecipe storage scaled = scaledRecipes[scaleId];
+        scaled.requester = msg.sender;
+        scaled.recipeId = _recipeId;
+        scaled.version = recipe.version;
+        scaled.servings = _servings;
+        scaled.createdAt = block.timestamp;
+
+        for (uint256 i = 0; i < ingredients.length; i++) {
+            euint32 quantity = FHE.div(FHE.mul(ingredients[i].quantity, _servings), recipe.baseServings);
+            FHE.allowThis(quantity);
+            FHE.allow(quantity, msg.sender);
+            scaled.quantities.push(quantity);
+        }
+
+        emit RecipeScaled(scaleId, msg.sender, _recipeId, _servings);
+    }
+
+    function getScaledRecipe(uint256 _scaleId) external view onlyDelegated returns (
+        address requester,
+        uint256 recipeId,
+        uint256 version,
+        uint32 servings,
+        euint32[] memory quantities,
+        uint256 createdAt
+    ) {
+        ScaledRecipe storage scaled = scaledRecipes[_scaleId];
+        require(scaled.requester != address(0), "Scaled recipe does not exist");
+        return (
+            scaled.requester,
+            scaled.recipeId,
+            scaled.version,
+            scaled.servings,
+            scaled.quantities,
+            scaled.createdAt
+        );
+    }
+
+    function getBaseServings(
+        uint256 _recipeId
+    ) external view onlyDelegated onlyExistingRecipe(_recipeId) returns (uint32) {
+        return recipes[_recipeId].baseServings;
+    }
+
+    function setDiscoverable(
+        uint256 _recipeId,
+        bool _enabled
+    ) external onlyDelegated onlyChef(_recipeId) onlyExistingRecipe(_recipeId) {
+        discoverable[_recipeId] = _enabled;
+        emit DiscoveryUpdated(_recipeId, _enabled);
+    }
+
+    function computeRangeQueries(
+        uint256[] calldata _recipeIds,
+        RecipeField _field,
+        uint8 _bucket
+    ) external onlyDelegated {
+        require(_recipeIds.length <= MAX_RANGE_QUERY_BATCH, "Too many recipes");
+        uint32[] memory thresholds = getRangeBuckets(_field);
+        require(_bucket < thresholds.length, "Invalid bucket");
+
+        for (uint256 i = 0; i < _recipeIds.length; i++) {
+            uint256 recipeId = _recipeIds[i];
+            Recipe storage recipe = recipes[recipeId];
+            require(recipe.exists, "Recipe does not exist");
+            require(discoverable[recipeId], "Recipe not discoverable");
+
+            RangeQuery storage query = rangeQueries[recipeId][_field][_bucket];
+            if (query.version == recipe.version) {
+                continue;
+            }
+
+            ebool result = _field == RecipeField.CookingTime
+                ? FHE.le(recipe.secrets.cookingTime, thresholds[_bucket])
+                : FHE.le(recipe.secrets.spiceLevel, uint8(thresholds[_bucket]));
+            FHE.allowThis(result);
+            FHE.makePubliclyDecryptable(result);
+
+            query.result = result;
+            query.version = recipe.version;
+            emit RangeQueryComputed(recipeId, _field, _bucket, FHE.toBytes32(result));
+        }
+    }
+
+    function getRangeQueryResults(
+        uint256[] calldata _recipeIds,
+        RecipeField _field,
+        uint8 _bucket
+    ) external view onlyDelegated returns (ebool[] memory results) {
+        results = new ebool[](_recipeIds.length);
+        for (uint256 i = 0; i < _recipeIds.length; i++) {
+            RangeQuery storage query = rangeQueries[_recipeIds[i]][_field][_bucket];
+            if (discoverable[_recipeIds[i]] && query.version == recipes[_recipeIds[i]].version) {
+                results[i] = query.result;
+            }
+        }
+    }
+
+    function isDiscoverable(uint256 _recipeId) external view onlyDelegated returns (bool) {
+        return discoverable[_recipeId];
+    }
+
+    function getRangeBuckets(RecipeField _field) public pure returns (uint32[] memory thresholds) {
+        if (_field == RecipeField.CookingTime) {
+            thresholds = new uint32[](4);
+            thresholds[0] = 15;
+            thresholds[1] = 30;
+            thresholds[2] = 60;
+            thresholds[3] = 120;
+        } else if (_field == RecipeField.SpiceLevel) {
+            thresholds = new uint32[](2);
+            thresholds[0] = 3;
+            thresholds[1] = 6;
+        } else {
+            revert("Unsupported field");
+        }
+    }
+
+    function _compareField(
+        RecipeSecrets storage _first,
+        RecipeSecrets storage _second,
+        RecipeField _field,
+        ComparisonOp _op,
+        uint256 _index1,
+        uint256 _index2
+    ) private returns (ebool) {
+        if (_field == RecipeField.SpiceLevel) {
+            return _compare(_first.spiceLevel, _second.spiceLevel, _op);
+        }
+        if (_field == RecipeField.CookingTime) {
+            return _compare(_first.cookingTime, _second.cookingTime, _op);
+        }
+        require(
+            _index1 < _first.ingredients.length && _index2 < _second.ingredients.length,
+            "Invalid ingredient index"
+        );
+        return _compare(_first.ingredients[_index1].code, _second.ingredients[_index2].code, _op);
+    }
+
+    function _countSharedIngredients(
+        IngredientEntry[] storage _first,
+        IngredientEntry[] storage _second
+    ) private returns (euint8 sharedCount) {
+        require(_first.length * _second.length <= MAX_OVERLAP_PAIRS, "Too many ingredients to compare");
+
+        sharedCount = FHE.asEuint8(0);
+        for (uint256 i = 0; i < _first.length; i++) {
+            ebool found = FHE.asEbool(false);
+            for (uint256 j = 0; j < _second.length; j++) {
+                found = FHE.or(found, FHE.eq(_first[i].code, _second[j].code));
+            }
+            sharedCount = FHE.add(sharedCount, FHE.asEuint8(found));
+        }
+    }
+
+    function _compare(euint32 _a, euint32 _b, ComparisonOp _op) private returns (ebool) {
+        if (_op == ComparisonOp.GreaterThan) {
+            return FHE.gt(_a, _b);
+        }
+        if (_op == ComparisonOp.LessThan) {
+            return FHE.lt(_a, _b);
+        }
+        return FHE.eq(_a, _b);
+    }
+
+    function _compare(euint8 _a, euint8 _b, ComparisonOp _op) private returns (ebool) {
+        if (_op == ComparisonOp.GreaterThan) {
+            return FHE.gt(_a, _b);
+        }
+        if (_op == ComparisonOp.LessThan) {
+            return FHE.lt(_a, _b);
+        }
+        return FHE.eq(_a, _b);
+    }
+
+    function _allowNutrition(Nutrition storage _nutrition, address _account) private {
+        FHE.allow(_nutrition.calories, _account);
+        FHE.allow(_nutrition.protein, _account);
+        FHE.allow(_nutrition.carbs, _account);
+        FHE.allow(_nutrition.fat, _account);
+    }
+}
@@ -0,0 +1,558 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, euint256, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { RecipeSecretsLib, RecipeSecrets } from "./libraries/RecipeSecretsLib.sol";
+
+// State, events and helpers shared by SecretRecipeProtection and SecretRecipeExtension. Both inherit
+// this contract so the extension, which runs via DELEGATECALL, sees exactly the same storage layout.
+abstract contract SecretRecipeStorage {
+    using RecipeSecretsLib for RecipeSecrets;
+
+    // publishRecipeVersion sends every entry (72 bits) plus spice level and cooking time (40 bits)
+    // under one input proof, which carries at most 2048 bits
+    uint256 public constant MAX_INGREDIENTS = 27;
+    uint256 public constant MAX_METHOD_BYTES = 16384;
+    uint256 public constant MAX_PLATFORM_FEE_BPS = 1000;
+    uint256 public constant REQUEST_EXPIRY = 7 days;
+    uint256 public constant MAX_PLAN_CATEGORIES = 16;
+    uint256 public constant VERSION_GRANT_BATCH = 5;
+    uint256 internal constant MAX_OVERLAP_PAIRS = 144;
+    uint256 internal constant MAX_RANGE_QUERY_BATCH = 50;
+    uint256 internal constant MAX_MEAL_PLAN_RECIPES = 20;
+    uint256 internal constant MAX_SCALED_INGREDIENTS = 24;
+    uint32 internal constant MAX_SERVINGS = 10000;
+    uint8 internal constant MAX_RATING = 5;
+    uint256 internal constant MIN_RATING_BATCH = 3;
+    uint256 internal constant RATING_BATCH_TIMEOUT = 1 days;
+    uint256 internal constant MAX_SOCIAL_LINKS = 8;
+    uint256 internal constant MAX_DISPUTE_WINDOW = 30 days;
+    uint256 internal constant ARBITRATION_PERIOD = 14 days;
+    uint256 internal constant MAX_CO_OWNERS = 10;
+    uint256 internal constant BPS_DENOMINATOR = 10000;
+
+    address public owner;
+    uint256 public nextRecipeId;
+    address public treasury;
+    uint256 public platformFeeBps;
+    uint256 public totalPlatformFees;
+    uint256 public disputeWindow;
+
+    struct Recipe {
+        string name;
+        string category;
+        address chef;
+        RecipeSecrets secrets;
+        bool isPublic;
+        bool exists;
+        uint256 createdAt;
+        uint256 accessPrice;
+        bool autoApprove;
+        uint256 version;
+        bool archived;
+        uint32 baseServings;
+    }
+
+    // The method text is AES-GCM encrypted client-side; only the AES key lives under FHE
+    struct PreparationMethod {
+        bytes encryptedSteps;
+        bytes32 contentHash;
+        uint32 stepCount;
+        euint256 methodKey;
+        uint256 updatedAt;
+    }
+
+    struct ChefProfile {
+        string name;
+        string specialty;
+        uint256 recipeCount;
+        bool verified;
+        uint256 reputation;
+        bool registered;
+        bool suspended;
+    }
+
+    struct ChefDetails {
+        string bio;
+        bytes32 avatarHash;
+        string restaurant;
+        string location;
+        string[] socialKeys;
+        mapping(string => string) socialLinks;
+    }
+
+    // AnyOwner: the first owner to approve or deny decides. Majority: more than half of all owners,
+    // lead chef included, must cast the same decision.
+    enum ApprovalPolicy {
+        AnyOwner,
+        Majority
+    }
+
+    // Votes count only while the recipe's owner set is the one they were cast under (`ownerEpoch`)
+    struct AccessVotes {
+        uint256 ownerEpoch;
+        uint256 approvals;
+        uint256 denials;
+        mapping(uint256 => mapping(address => bool)) voted;
+    }
+
+    struct AccessRequest {
+        uint256 recipeId;
+        address requester;
+        uint256 amount;
+        bool approved;
+        bool processed;
+        uint256 requestTime;
+    }
+
+    struct SubscriptionPlan {
+        uint256 price;
+        uint256 period;
+        string[] categories;
+        bool active;
+    }
+
+    struct Subscription {
+        uint256 planId;
+        uint256 expiresAt;
+    }
+
+    enum RecipeField {
+        SpiceLevel,
+        CookingTime,
+        IngredientCode
+    }
+
+    enum ComparisonOp {
+        GreaterThan,
+        LessThan,
+        Equal
+    }
+
+    struct RecipeComparison {
+        address requester;
+        uint256 recipeId1;
+        uint256 recipeId2;
+        RecipeField field;
+        ComparisonOp op;
+        ebool result;
+        uint256 createdAt;
+    }
+
+    struct OverlapCheck {
+        address requester;
+        uint256 recipeId1;
+        uint256 recipeId2;
+        euint8 sharedCount;
+        uint256 createdAt;
+    }
+
+    struct AllergenCheck {
+        address requester;
+        uint256 recipeId;
+        ebool contains;
+        uint256 createdAt;
+    }
+
+    struct RangeQuery {
+        ebool result;
+        uint256 version;
+    }
+
+    struct Nutrition {
+        euint32 calories;
+        euint32 protein;
+        euint32 carbs;
+        euint32 fat;
+    }
+
+    struct MealPlan {
+        address requester;
+        uint256[] recipeIds;
+        Nutrition totals;
+        uint256 createdAt;
+    }
+
+    struct ScaledRecipe {
+        address requester;
+        uint256 recipeId;
+        uint256 version;
+        uint32 servings;
+        euint32[] quantities;
+        uint256 createdAt;
+    }
+
+    struct RatingTotals {
+        uint256 count;
+        uint256 sum;
+    }
+
+    struct RatingSummary {
+        RatingTotals published;
+        euint32 pendingSum;
+        uint256 pendingCount;
+        uint256 batchCount;
+        euint32 batchSum;
+        uint256 batchRequestId;
+        uint256 batchRequestedAt;
+    }
+
+    enum DisputeStatus {
+        None,
+        Open,
+        Refunded,
+        Released
+    }
+
+    struct Dispute {
+        DisputeStatus status;
+        string reason;
+        address arbitrator;
+        string ruling;
+        uint256 openedAt;
+    }
+
+    enum RevealStatus {
+        None,
+        Pending,
+        Fulfilled
+    }
+
+    struct RecipeReveal {
+        uint256 recipeId;
+        address viewer;
+        RevealStatus status;
+        uint8 spiceLevel;
+        uint32 cookingTime;
+        uint32[] ingredientCodes;
+        uint32[] ingredientQuantities;
+        uint8[] ingredientUnits;
+    }
+
+    mapping(uint256 => Recipe) public recipes;
+    mapping(address => ChefProfile) public chefs;
+    mapping(address => ChefDetails) internal chefDetails;
+    mapping(uint256 => AccessRequest) public accessRequests;
+    mapping(address => mapping(uint256 => bool)) public hasAccess;
+    mapping(address => mapping(uint256 => uint256)) public accessExpiresAt;
+    mapping(uint256 => uint256) public defaultLicenseDuration;
+    mapping(address => uint256[]) public chefRecipes;
+    mapping(uint256 => address[]) public recipeLicensees;
+    mapping(uint256 => uint256) internal versionGrantCursor;
+    mapping(uint256 => address[]) internal recipeCoOwners;
+    mapping(uint256 => mapping(address => uint256)) internal coOwnerShareBps;
+    mapping(uint256 => ApprovalPolicy) internal approvalPolicies;
+    mapping(uint256 => AccessVotes) internal accessVotes;
+    mapping(uint256 => uint256) internal ownerEpochs;
+    // Unanswered access requests of a recipe, so archiving can refund them. Positions are stored
+    // plus one so processed requests can be swapped out; 0 means not pending.
+    mapping(uint256 => uint256[]) internal pendingRequestIds;
+    mapping(uint256 => uint256) internal pendingRequestPosition;
+    mapping(uint256 => PreparationMethod) internal preparationMethods;
+    mapping(uint256 => mapping(uint256 => RecipeSecrets)) internal recipeVersionHistory;
+    mapping(uint256 => RecipeReveal) public recipeReveals;
+    mapping(address => mapping(uint256 => uint256)) public latestRevealRequest;
+    mapping(uint256 => uint256) internal paymentReleaseAt;
+    mapping(uint256 => Dispute) internal disputes;
+    mapping(uint256 => mapping(address => uint256)) internal openArbitrations;
+    mapping(address => uint256) public pendingWithdrawals;
+    mapping(address => SubscriptionPlan[]) internal subscriptionPlans;
+    mapping(uint256 => RecipeComparison) internal recipeComparisons;
+    mapping(uint256 => OverlapCheck) internal overlapChecks;
+    mapping(address => bool) internal arbitrators;
+    mapping(address => bool) internal verifiers;
+    mapping(uint256 => AllergenCheck) internal allergenChecks;
+    mapping(uint256 => euint32) internal allergenFlags;
+    mapping(uint256 => bool) internal discoverable;
+    mapping(uint256 => Nutrition) internal recipeNutrition;
+    mapping(uint256 => MealPlan) internal mealPlans;
+    mapping(uint256 => ScaledRecipe) internal scaledRecipes;
+    mapping(uint256 => RatingSummary) internal recipeRatings;
+    mapping(address => RatingTotals) internal chefRatings;
+    mapping(uint256 => mapping(address => bool)) internal hasRated;
+    mapping(uint256 => uint256) internal ratingBatchRecipe;
+    mapping(uint256 => mapping(RecipeField => mapping(uint8 => RangeQuery))) internal rangeQueries;
+    mapping(address => mapping(address => Subscription)) internal subscriptions;
+
+    uint256 public nextRequestId;
+    uint256 public comparisonCount;
+    uint256 public overlapCheckCount;
+    uint256 public allergenCheckCount;
+    uint256 public mealPlanCount;
+    uint256 public scaledRecipeCount;
+
+    event RecipeCreated(uint256 indexed recipeId, address indexed chef, string name);
+    event RecipeUpdated(uint256 indexed recipeId, uint256 version);
+    event VersionAccessGranted(uint256 indexed recipeId, uint256 version, uint256 granted, uint256 licenseeCount);
+    event RecipeArchived(uint256 indexed recipeId, uint256 refundedRequests);
+    event AccessRequested(uint256 indexed requestId, uint256 indexed recipeId, address indexed requester);
+    event AccessGranted(uint256 indexed recipeId, address indexed requester);
+    event AccessDenied(uint256 indexed requestId, address indexed requester);
+    event AccessRevoked(uint256 indexed recipeId, address indexed user);
+    event LicenseDurationUpdated(uint256 indexed recipeId, uint256 duration);
+    event AccessRequestCancelled(uint256 indexed requestId, address indexed requester);
+    event AccessRequestExpired(uint256 indexed requestId, address indexed requester);
+    event ChefRegistered(address indexed chef, string name);
+    event CoOwnersUpdated(uint256 indexed recipeId, address[] coOwners, uint256[] sharesBps);
+    event ApprovalPolicyUpdated(uint256 indexed recipeId, ApprovalPolicy policy);
+    event AccessVoteCast(uint256 indexed requestId, address indexed owner, bool approve);
+    event RecipeRevealed(uint256 indexed recipeId, address indexed viewer);
+    event RecipesCompared(
+        uint256 indexed comparisonId,
+        address indexed requester,
+        uint256 recipeId1,
+        uint256 recipeId2,
+        bytes32 result
+    );
+    event IngredientAdded(uint256 indexed recipeId, uint256 index);
+    event IngredientRemoved(uint256 indexed recipeId, uint256 index);
+    event PreparationMethodUpdated(uint256 indexed recipeId, bytes32 contentHash, uint32 stepCount);
+    event RecipeRevealFulfilled(uint256 indexed decryptionRequestId, uint256 indexed recipeId, address indexed viewer);
+    event PaymentCredited(address indexed account, uint256 amount);
+    event Withdrawal(address indexed account, address indexed to, uint256 amount);
+    event PlatformFeeUpdated(uint256 previousFeeBps, uint256 newFeeBps);
+    event AutoApproveUpdated(uint256 indexed recipeId, bool enabled);
+    event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury);
+    event PlatformFeeCollected(uint256 indexed recipeId, uint256 fee);
+    event DisputeWindowUpdated(uint256 previousWindow, uint256 newWindow);
+    event PaymentHeld(uint256 indexed requestId, uint256 releaseAt);
+    event PaymentReleased(uint256 indexed requestId, address indexed chef, uint256 amount);
+    event DisputeOpened(uint256 indexed requestId, uint256 indexed recipeId, address indexed buyer, string reason);
+    event DisputeAssigned(uint256 indexed requestId, address indexed arbitrator);
+    event DisputeResolved(uint256 indexed requestId, address indexed arbitrator, bool refunded, string ruling);
+    event DisputeLapsed(uint256 indexed requestId);
+    event IngredientOverlapComputed(
+        uint256 indexed checkId,
+        address indexed requester,
+        uint256 recipeId1,
+        uint256 recipeId2,
+        bytes32 sharedCount
+    );
+    event AllergensDeclared(uint256 indexed recipeId);
+    event AllergenChecked(uint256 indexed checkId, address indexed requester, uint256 indexed recipeId, bytes32 contains);
+    event NutritionUpdated(uint256 indexed recipeId);
+    event MealPlanComputed(uint256 indexed mealPlanId, address indexed requester, uint256[] recipeIds);
+    event BaseServingsUpdated(uint256 indexed recipeId, uint32 servings);
+    event RecipeScaled(uint256 indexed scaleId, address indexed requester, uint256 indexed recipeId, uint32 servings);
+    event DiscoveryUpdated(uint256 indexed recipeId, bool enabled);
+    event RangeQueryComputed(uint256 indexed recipeId, RecipeField field, uint8 bucket, bytes32 result);
+    event ArbitratorUpdated(address indexed arbitrator, bool enabled);
+    event RecipeRated(uint256 indexed recipeId, address indexed rater, uint8 score);
+    event EncryptedRatingSubmitted(uint256 indexed recipeId, address indexed rater);
+    event RatingBatchPublished(uint256 indexed recipeId, uint256 count, uint256 sum);
+    event ReputationUpdated(address indexed chef, uint256 reputation);
+    event ChefProfileUpdated(address indexed chef, string name, string specialty);
+    event SocialLinkUpdated(address indexed chef, string key, string value);
+    event VerifierUpdated(address indexed verifier, bool enabled);
+    event ChefVerified(address indexed chef, address indexed verifier, string reason);
+    event ChefSuspended(address indexed chef, address indexed verifier, string reason);
+    event ChefUnverified(address indexed chef, address indexed verifier, string reason);
+    event SubscriptionPlanCreated(address indexed chef, uint256 indexed planId, uint256 price, uint256 period);
+    event SubscriptionPlanStatusChanged(address indexed chef, uint256 indexed planId, bool active);
+    event Subscribed(address indexed subscriber, address indexed chef, uint256 indexed planId, uint256 expiresAt);
+    event SubscriptionAccessGranted(uint256 indexed recipeId, address indexed subscriber);
+    event RecipeAccessRefreshed(uint256 indexed recipeId, address indexed account);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    modifier onlyChef(uint256 _recipeId) {
+        _checkChef(_recipeId);
+        _;
+    }
+
+    modifier onlyExistingRecipe(uint256 _recipeId) {
+        _checkRecipeExists(_recipeId);
+        _;
+    }
+
+    function _checkChef(uint256 _recipeId) internal view {
+        require(recipes[_recipeId].chef == msg.sender, "Not recipe owner");
+    }
+
+    function _isRecipeOwner(uint256 _recipeId, address _account) internal view returns (bool) {
+        return recipes[_recipeId].chef == _account || coOwnerShareBps[_recipeId][_account] > 0;
+    }
+
+    function _checkActiveChef(address _chef) internal view {
+        require(chefs[_chef].registered, "Chef not registered");
+        require(!chefs[_chef].suspended, "Chef suspended");
+    }
+
+    function _checkRecipeExists(uint256 _recipeId) internal view {
+        require(recipes[_recipeId].exists, "Recipe does not exist");
+    }
+
+    function _allowRecipe(uint256 _recipeId, address _account) internal {
+        recipes[_recipeId].secrets.allow(_account);
+
+        euint256 methodKey = preparationMethods[_recipeId].methodKey;
+        if (FHE.isInitialized(methodKey)) {
+            FHE.allow(methodKey, _account);
+        }
+    }
+
+    function _allowOwners(uint256 _recipeId) internal {
+        _allowRecipe(_recipeId, recipes[_recipeId].chef);
+        address[] storage coOwners = recipeCoOwners[_recipeId];
+        for (uint256 i = 0; i < coOwners.length; i++) {
+            _allowRecipe(_recipeId, coOwners[i]);
+        }
+    }
+
+    function _hasRecipeAccess(address _user, uint256 _recipeId) internal view returns (bool) {
+        return _hasActiveLicense(_user, _recipeId) ||
+            _isRecipeOwner(_recipeId, _user) ||
+            recipes[_recipeId].isPublic ||
+            _hasSubscriptionAccess(_user, _recipeId) ||
+            openArbitrations[_recipeId][_user] > 0;
+    }
+
+    function _hasSubscriptionAccess(address _user, uint256 _recipeId) internal view returns (bool) {
+        Recipe storage recipe = recipes[_recipeId];
+        Subscription storage subscription = subscriptions[_user][recipe.chef];
+        if (subscription.expiresAt <= block.timestamp) {
+            return false;
+        }
+
+        string[] storage categories = subscriptionPlans[recipe.chef][subscription.planId].categories;
+        if (categories.length == 0) {
+            return true;
+        }
+        bytes32 category = keccak256(bytes(recipe.category));
+        for (uint256 i = 0; i < categories.length; i++) {
+            if (keccak256(bytes(categories[i])) == category) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function _calculatePlatformFee(uint256 _amount) internal view returns (uint256 fee, uint256 chefAmount) {
+        fee = (_amount * platformFeeBps) / BPS_DENOMINATOR;
+        chefAmount = _amount - fee;
+    }
+
+    function _payChef(uint256 _recipeId, address _chef, uint256 _amount) internal {
+        (uint256 fee, uint256 chefAmount) = _calculatePlatformFee(_amount);
+        if (fee > 0) {
+            totalPlatformFees += fee;
+            _credit(treasury, fee);
+            emit PlatformFeeCollected(_recipeId, fee);
+        }
+
+        uint256 remaining = chefAmount;
+        address[] storage coOwners = recipeCoOwners[_recipeId];
+        for (uint256 i = 0; i < coOwners.length; i++) {
+            uint256 share = (chefAmount * coOwnerShareBps[_recipeId][coOwners[i]]) / BPS_DENOMINATOR;
+            remaining -= share;
+            _credit(coOwners[i], share);
+        }
+        _credit(_chef, remaining);
+    }
+
+    function _credit(address _account, uint256 _amount) internal {
+        if (_amount == 0) {
+            return;
+        }
+        pendingWithdrawals[_account] += _amount;
+        emit PaymentCredited(_account, _amount);
+    }
+
+    function _grantAccess(uint256 _requestId, uint256 _expiresAt) internal {
+        AccessRequest storage request = accessRequests[_requestId];
+        request.approved = true;
+        _closeRequest(_requestId);
+
+        if (!hasAccess[request.requester][request.recipeId]) {
+            recipeLicensees[request.recipeId].push(request.requester);
+        }
+        hasAccess[request.requester][request.recipeId] = true;
+        accessExpiresAt[request.requester][request.recipeId] = _expiresAt;
+
+        _allowRecipe(request.recipeId, request.requester);
+
+        if (disputeWindow > 0 && request.amount > 0) {
+            paymentReleaseAt[_requestId] = block.timestamp + disputeWindow;
+            emit PaymentHeld(_requestId, block.timestamp + disputeWindow);
+        } else {
+            _payChef(request.recipeId, recipes[request.recipeId].chef, request.amount);
+        }
+
+        emit AccessGranted(request.recipeId, request.requester);
+    }
+
+    function _defaultExpiry(uint256 _recipeId) internal view returns (uint256) {
+        uint256 duration = defaultLicenseDuration[_recipeId];
+        return duration == 0 ? 0 : block.timestamp + duration;
+    }
+
+    function _isRequestExpired(uint256 _requestId) internal view returns (bool) {
+        AccessRequest storage request = accessRequests[_requestId];
+        return !request.processed && block.timestamp >= request.requestTime + REQUEST_EXPIRY;
+    }
+
+    function _refundRequest(uint256 _requestId) internal {
+        AccessRequest storage request = accessRequests[_requestId];
+        request.approved = false;
+        _closeRequest(_requestId);
+        _credit(request.requester, request.amount);
+    }
+
+    function _closeRequest(uint256 _requestId) internal {
+        AccessRequest storage request = accessRequests[_requestId];
+        request.processed = true;
+
+        uint256 position = pendingRequestPosition[_requestId];
+        if (position == 0) {
+            return;
+        }
+        uint256[] storage pending = pendingRequestIds[request.recipeId];
+        uint256 lastId = pending[pending.length - 1];
+        pending[position - 1] = lastId;
+        pendingRequestPosition[lastId] = position;
+        pending.pop();
+        delete pendingRequestPosition[_requestId];
+    }
+
+    function _revokeLicense(uint256 _recipeId, address _user) internal {
+        hasAccess[_user][_recipeId] = false;
+        accessExpiresAt[_user][_recipeId] = 0;
+
+        address[] storage licensees = recipeLicensees[_recipeId];
+        for (uint256 i = 0; i < licensees.length; i++) {
+            if (licensees[i] == _user) {
+                licensees[i] = licensees[licensees.length - 1];
+                licensees.pop();
+                break;
+            }
+        }
+
+        emit AccessRevoked(_recipeId, _user);
+    }
+
+    // Moves the recipe to fresh handles and re-grants them to its owners; active licensees pick them up
+    // through refreshRecipeAccess. Plaintexts a revoked user already decrypted cannot be taken back.
+    function _rotateRecipeCiphertexts(uint256 _recipeId) internal {
+        Recipe storage recipe = recipes[_recipeId];
+        recipe.secrets.rotate();
+
+        PreparationMethod storage method = preparationMethods[_recipeId];
+        if (FHE.isInitialized(method.methodKey)) {
+            method.methodKey = FHE.select(FHE.randEbool(), method.methodKey, method.methodKey);
+            FHE.allowThis(method.methodKey);
+            if (recipe.isPublic) {
+                FHE.makePubliclyDecryptable(method.methodKey);
+            }
+        }
+
+        _allowOwners(_recipeId);
+    }
+
+    function _hasActiveLicense(address _user, uint256 _recipeId) internal view returns (bool) {
+        uint256 expiresAt = accessExpiresAt[_user][_recipeId];
+        return hasAccess[_user][_recipeId] && (expiresAt == 0 || block.timestamp < expiresAt);
+    }
+}
\ No newline at end of file
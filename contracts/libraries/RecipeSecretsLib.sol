@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, ebool } from "@fhevm/solidity/lib/FHE.sol";
+
+struct IngredientEntry {
+    euint32 code;
+    euint32 quantity;
+    euint8 unit;
+}
+
+// Every encrypted field of one recipe version
+struct RecipeSecrets {
+    IngredientEntry[] ingredients;
+    euint8 spiceLevel;
+    euint32 cookingTime;
+}
+
+// Bulk FHE operations over a recipe's encrypted fields. Linked as an external library to keep
+// SecretRecipeProtection under the contract size limit; it runs via DELEGATECALL, so every ACL
+// grant and FHE operation is still made by the recipe contract itself.
+library RecipeSecretsLib {
+
+    function allowThis(RecipeSecrets storage _secrets) external {
+        FHE.allowThis(_secrets.spiceLevel);
+        FHE.allowThis(_secrets.cookingTime);
+        for (uint256 i = 0; i < _secrets.ingredients.length; i++) {
+            _allowIngredient(_secrets.ingredients[i], address(this));
+        }
+    }
+
+    function allow(RecipeSecrets storage _secrets, address _account) external {
+        FHE.allow(_secrets.spiceLevel, _account);
+        FHE.allow(_secrets.cookingTime, _account);
+        for (uint256 i = 0; i < _secrets.ingredients.length; i++) {
+            _allowIngredient(_secrets.ingredients[i], _account);
+        }
+    }
+
+    function allowIngredient(IngredientEntry storage _entry, address _account) external {
+        _allowIngredient(_entry, _account);
+    }
+
+    // Re-randomizes every handle without changing the plaintexts. ACL grants are permanent per handle,
+    // so this is the only way to cut off accounts that were allowed on the old ones. Selecting between
+    // two identical branches keeps the value; the fresh random condition makes each new handle unique.
+    function rotate(RecipeSecrets storage _secrets) external {
+        ebool seed = FHE.randEbool();
+
+        _secrets.spiceLevel = FHE.select(seed, _secrets.spiceLevel, _secrets.spiceLevel);
+        _secrets.cookingTime = FHE.select(seed, _secrets.cookingTime, _secrets.cookingTime);
+        FHE.allowThis(_secrets.spiceLevel);
+        FHE.allowThis(_secrets.cookingTime);
+
+        for (uint256 i = 0; i < _secrets.ingredients.length; i++) {
+            IngredientEntry storage entry = _secrets.ingredients[i];
+            entry.code = FHE.select(seed, entry.code, entry.code);
+            entry.quantity = FHE.select(seed, entry.quantity, entry.quantity);
+            entry.unit = FHE.select(seed, entry.unit, entry.unit);
+            _allowIngredient(entry, address(this));
+        }
+    }
+
+    // Snapshots a version before it is replaced; handles are copied, so existing ACL grants still apply
+    function copyTo(RecipeSecrets storage _from, RecipeSecrets storage _to) external {
+        _to.spiceLevel = _from.spiceLevel;
+        _to.cookingTime = _from.cookingTime;
+        for (uint256 i = 0; i < _from.ingredients.length; i++) {
+            _to.ingredients.push(_from.ingredients[i]);
+        }
+    }
+
+    // Layout: spice level, cooking time, then (code, quantity, unit) for each ingredient
+    function toHandles(RecipeSecrets storage _secrets) external view returns (bytes32[] memory handles) {
+        handles = new bytes32[](2 + _secrets.ingredients.length * 3);
+        handles[0] = FHE.toBytes32(_secrets.spiceLevel);
+        handles[1] = FHE.toBytes32(_secrets.cookingTime);
+        for (uint256 i = 0; i < _secrets.ingredients.length; i++) {
+            handles[2 + i * 3] = FHE.toBytes32(_secrets.ingredients[i].code);
+            handles[3 + i * 3] = FHE.toBytes32(_secrets.ingredients[i].quantity);
+            handles[4 + i * 3] = FHE.toBytes32(_secrets.ingredients[i].unit);
+        }
+    }
+
+    function _allowIngredient(IngredientEntry storage _entry, address _account) private {
+        FHE.allow(_entry.code, _account);
+        FHE.allow(_entry.quantity, _account);
+        FHE.allow(_entry.unit, _account);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,164 @@
+// Ingredient code lookup shared by index.html (loaded as window.Ingredients) and the Hardhat scripts.
+// Recipes only ever store uint32 codes; this turns decrypted codes back into readable ingredients
+// using the on-chain IngredientRegistry, falling back to the bundled catalog when offline.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Ingredients = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Index matches the euint8 unit stored alongside each ingredient quantity
+  const UNITS = ["", "g", "kg", "ml", "l", "tsp", "tbsp", "cup", "piece", "pinch"];
+
+  // Bit flags for the 14 allergens that must be declared under EU food labelling rules
+  const ALLERGENS = {
+    GLUTEN: 1 << 0,
+    CRUSTACEANS: 1 << 1,
+    EGGS: 1 << 2,
+    FISH: 1 << 3,
+    PEANUTS: 1 << 4,
+    SOY: 1 << 5,
+    MILK: 1 << 6,
+    TREE_NUTS: 1 << 7,
+    CELERY: 1 << 8,
+    MUSTARD: 1 << 9,
+    SESAME: 1 << 10,
+    SULPHITES: 1 << 11,
+    LUPIN: 1 << 12,
+    MOLLUSCS: 1 << 13,
+  };
+
+  const REGISTRY_ABI = [
+    "function registerIngredient(uint32 _code, string _name, string _category, uint32 _allergenFlags, uint8 _defaultUnit) external",
+    "function updateIngredient(uint32 _code, string _name, string _category, uint32 _allergenFlags, uint8 _defaultUnit) external",
+    "function isRegistered(uint32 _code) external view returns (bool)",
+    "function getIngredient(uint32 _code) external view returns (string, string, uint32, uint8, address)",
+    "function getIngredientNames(uint32[] _codes) external view returns (string[])",
+    "function getIngredientCount() external view returns (uint256)",
+  ];
+
+  // Seeded into the registry by scripts/deploy.js
+  const DEFAULT_INGREDIENTS = [
+    { code: 1001, name: "Beef tenderloin", category: "Meat", allergens: 0, unit: 1 },
+    { code: 1002, name: "Chicken thigh", category: "Meat", allergens: 0, unit: 1 },
+    { code: 1003, name: "Pancetta", category: "Meat", allergens: 0, unit: 1 },
+    { code: 1101, name: "Salmon fillet", category: "Seafood", allergens: ALLERGENS.FISH, unit: 1 },
+    { code: 1102, name: "King prawns", category: "Seafood", allergens: ALLERGENS.CRUSTACEANS, unit: 8 },
+    { code: 1201, name: "Eggs", category: "Dairy & Eggs", allergens: ALLERGENS.EGGS, unit: 8 },
+    { code: 1202, name: "Butter", category: "Dairy & Eggs", allergens: ALLERGENS.MILK, unit: 1 },
+    { code: 1203, name: "Parmesan", category: "Dairy & Eggs", allergens: ALLERGENS.MILK, unit: 1 },
+    { code: 1204, name: "Double cream", category: "Dairy & Eggs", allergens: ALLERGENS.MILK, unit: 3 },
+    { code: 1301, name: "Plain flour", category: "Grains", allergens: ALLERGENS.GLUTEN, unit: 1 },
+    { code: 1302, name: "Spaghetti", category: "Grains", allergens: ALLERGENS.GLUTEN | ALLERGENS.EGGS, unit: 1 },
+    { code: 1303, name: "Puff pastry", category: "Grains", allergens: ALLERGENS.GLUTEN | ALLERGENS.MILK, unit: 1 },
+    { code: 1401, name: "Dark chocolate", category: "Baking", allergens: ALLERGENS.MILK | ALLERGENS.SOY, unit: 1 },
+    { code: 1402, name: "Caster sugar", category: "Baking", allergens: 0, unit: 1 },
+    { code: 1501, name: "Chestnut mushrooms", category: "Vegetables", allergens: 0, unit: 1 },
+    { code: 1502, name: "Shallots", category: "Vegetables", allergens: 0, unit: 8 },
+    { code: 1503, name: "Garlic", category: "Vegetables", allergens: 0, unit: 8 },
+    { code: 1601, name: "Dijon mustard", category: "Condiments", allergens: ALLERGENS.MUSTARD, unit: 6 },
+    { code: 1602, name: "Soy sauce", category: "Condiments", allergens: ALLERGENS.SOY | ALLERGENS.GLUTEN, unit: 6 },
+    { code: 1603, name: "Sesame oil", category: "Condiments", allergens: ALLERGENS.SESAME, unit: 5 },
+    { code: 1701, name: "Black pepper", category: "Spices", allergens: 0, unit: 9 },
+    { code: 1702, name: "Smoked paprika", category: "Spices", allergens: 0, unit: 5 },
+    { code: 1703, name: "Chilli flakes", category: "Spices", allergens: 0, unit: 5 },
+    { code: 1801, name: "Almonds", category: "Nuts & Seeds", allergens: ALLERGENS.TREE_NUTS, unit: 1 },
+    { code: 1802, name: "Peanuts", category: "Nuts & Seeds", allergens: ALLERGENS.PEANUTS, unit: 1 },
+  ];
+
+  function unitLabel(unit) {
+    return UNITS[Number(unit)] || "";
+  }
+
+  function allergenNames(flags) {
+    const value = Number(flags);
+    return Object.keys(ALLERGENS)
+      .filter((key) => (value & ALLERGENS[key]) !== 0)
+      .map((key) => key.toLowerCase().replace("_", " "));
+  }
+
+  function fromCatalog(code) {
+    const entry = DEFAULT_INGREDIENTS.find((ingredient) => ingredient.code === code);
+    if (!entry) {
+      return {
+        code,
+        name: `Unknown ingredient #${code}`,
+        category: "",
+        allergens: [],
+        allergenFlags: 0,
+        unit: 0,
+        registered: false,
+      };
+    }
+    return {
+      code,
+      name: entry.name,
+      category: entry.category,
+      allergens: allergenNames(entry.allergens),
+      allergenFlags: entry.allergens,
+      unit: entry.unit,
+      registered: false,
+    };
+  }
+
+  // `registry` is an ethers Contract (v5 or v6) bound to REGISTRY_ABI, or null to use the catalog only
+  function createIngredientLookup(registry) {
+    const cache = new Map();
+
+    async function resolve(rawCode) {
+      const code = Number(rawCode);
+      if (cache.has(code)) {
+        return cache.get(code);
+      }
+
+      let ingredient = null;
+      if (registry) {
+        try {
+          if (await registry.isRegistered(code)) {
+            const info = await registry.getIngredient(code);
+            ingredient = {
+              code,
+              name: info[0],
+              category: info[1],
+              allergens: allergenNames(info[2]),
+              allergenFlags: Number(info[2]),
+              unit: Number(info[3]),
+              registered: true,
+            };
+          }
+        } catch (error) {
+          console.warn(`Ingredient registry lookup failed for code ${code}:`, error.message);
+        }
+      }
+
+      ingredient = ingredient || fromCatalog(code);
+      cache.set(code, ingredient);
+      return ingredient;
+    }
+
+    async function describe(entry) {
+      const ingredient = await resolve(entry.code);
+      const unit = unitLabel(Number(entry.unit) || ingredient.unit);
+      const amount = [Number(entry.quantity) || "", unit].filter(Boolean).join(" ");
+      const allergens = ingredient.allergens.length ? ` [${ingredient.allergens.join(", ")}]` : "";
+      return `${amount ? amount + " " : ""}${ingredient.name}${allergens}`;
+    }
+
+    return {
+      resolve,
+      resolveMany: (codes) => Promise.all(codes.map(resolve)),
+      describe,
+    };
+  }
+
+  return {
+    UNITS,
+    ALLERGENS,
+    REGISTRY_ABI,
+    DEFAULT_INGREDIENTS,
+    unitLabel,
+    allergenNames,
+    createIngredientLookup,
+  };
+});
@@ -1,6 +1,8 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { DEFAULT_INGREDIENTS } = require("../lib/ingredients");
+const { deployRecipeContracts } = require("./utils/recipeContract");
 
 async function main() {
   console.log("Starting deployment process...\n");
@@ -12,19 +14,21 @@ async function main() {
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log("Account balance:", hre.ethers.formatEther(balance), "ETH\n");
 
-  // Get the contract factory
-  console.log("Compiling contracts...");
-  const SecretRecipeProtection = await hre.ethers.getContractFactory("SecretRecipeProtection");
-
-  // Deploy the contract
-  console.log("Deploying SecretRecipeProtection contract...");
-  const contract = await SecretRecipeProtection.deploy();
-
-  await contract.waitForDeployment();
+  // Deploy the RecipeSecretsLib library, the module chain and the main contract
+  console.log("Deploying RecipeSecretsLib, the recipe modules and SecretRecipeProtection...");
+  const { core: contract, extension, queries, community, library } = await deployRecipeContracts();
   const contractAddress = await contract.getAddress();
+  const extensionAddress = await extension.getAddress();
+  const queriesAddress = await queries.getAddress();
+  const communityAddress = await community.getAddress();
+  const recipeSecretsLibAddress = await library.getAddress();
 
   console.log("\n✅ SecretRecipeProtection deployed successfully!");
   console.log("Contract address:", contractAddress);
+  console.log("Extension address:", extensionAddress);
+  console.log("Queries module address:", queriesAddress);
+  console.log("Community module address:", communityAddress);
+  console.log("RecipeSecretsLib address:", recipeSecretsLibAddress);
   console.log("Network:", hre.network.name);
   console.log("Block number:", await hre.ethers.provider.getBlockNumber());
 
@@ -35,10 +39,36 @@ async function main() {
     console.log("Gas used:", deployTx.gasLimit.toString());
   }
 
+  // Deploy the public ingredient code registry
+  console.log("\nDeploying IngredientRegistry contract...");
+  const IngredientRegistry = await hre.ethers.getContractFactory("IngredientRegistry");
+  const registry = await IngredientRegistry.deploy();
+  await registry.waitForDeployment();
+  const ingredientRegistryAddress = await registry.getAddress();
+  console.log("✅ IngredientRegistry deployed at:", ingredientRegistryAddress);
+
+  console.log(`Seeding ${DEFAULT_INGREDIENTS.length} default ingredients...`);
+  for (const ingredient of DEFAULT_INGREDIENTS) {
+    const seedTx = await registry.registerIngredient(
+      ingredient.code,
+      ingredient.name,
+      ingredient.category,
+      ingredient.allergens,
+      ingredient.unit
+    );
+    await seedTx.wait();
+  }
+  console.log("✅ Ingredient registry seeded");
+
   // Save deployment information
   const deploymentInfo = {
     network: hre.network.name,
     contractAddress: contractAddress,
+    extensionAddress: extensionAddress,
+    queriesAddress: queriesAddress,
+    communityAddress: communityAddress,
+    recipeSecretsLibAddress: recipeSecretsLibAddress,
+    ingredientRegistryAddress: ingredientRegistryAddress,
     deployer: deployer.address,
     blockNumber: await hre.ethers.provider.getBlockNumber(),
     timestamp: new Date().toISOString(),
@@ -1,6 +1,8 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { REGISTRY_ABI, createIngredientLookup } = require("../lib/ingredients");
+const { attachRecipeContract } = require("./utils/recipeContract");
 
 async function main() {
   console.log("Starting interaction with SecretRecipeProtection contract...\n");
@@ -27,20 +29,25 @@ async function main() {
   console.log("Chef1 address:", chef1.address);
   console.log();
 
-  // Get contract instance
-  const SecretRecipeProtection = await hre.ethers.getContractFactory("SecretRecipeProtection");
-  const contract = SecretRecipeProtection.attach(contractAddress);
+  // Get contract instance (main and extension ABIs bound to the main address)
+  const contract = await attachRecipeContract(contractAddress, owner);
 
   // Example interactions
   console.log("═".repeat(60));
   console.log("EXAMPLE INTERACTIONS");
   console.log("═".repeat(60));
 
-  // 1. Get contract owner
-  console.log("\n1️⃣  Getting contract owner...");
+  // 1. Get contract owner and fee configuration
+  console.log("\n1️⃣  Getting contract owner and platform fee...");
   const contractOwner = await contract.owner();
   console.log("Contract owner:", contractOwner);
 
+  const [feeBps, treasury, collectedFees] = await contract.getFeeInfo();
+  console.log("Platform fee:", `${Number(feeBps) / 100}%`, `(${feeBps} bps)`);
+  console.log("Treasury:", treasury);
+  console.log("Fees collected:", hre.ethers.formatEther(collectedFees), "ETH");
+  console.log("Treasury pending withdrawal:", hre.ethers.formatEther(await contract.pendingWithdrawals(treasury)), "ETH");
+
   // 2. Register as chef
   console.log("\n2️⃣  Registering as chef...");
   try {
@@ -96,24 +103,73 @@ async function main() {
     }
   }
 
+  // 7. Resolve ingredient codes through the registry
+  console.log("\n7️⃣  Looking up ingredient codes...");
+  try {
+    const registry = deploymentInfo.ingredientRegistryAddress
+      ? new hre.ethers.Contract(deploymentInfo.ingredientRegistryAddress, REGISTRY_ABI, owner)
+      : null;
+    if (registry) {
+      console.log("Registered ingredients:", (await registry.getIngredientCount()).toString());
+    } else {
+      console.log("ℹ️  No IngredientRegistry in deployment file, using bundled catalog");
+    }
+    const lookup = createIngredientLookup(registry);
+    for (const entry of [{ code: 1001, quantity: 500, unit: 1 }, { code: 1303, quantity: 320, unit: 0 }, { code: 1601, quantity: 2, unit: 0 }]) {
+      console.log(`  ${entry.code} →`, await lookup.describe(entry));
+    }
+  } catch (error) {
+    console.error("❌ Error looking up ingredients:", error.message);
+  }
+
   console.log("\n" + "═".repeat(60));
   console.log("INTERACTION EXAMPLES COMPLETED");
   console.log("═".repeat(60));
 
   console.log("\n📝 Available Functions:");
   console.log("  - registerChef(name, specialty)");
+  console.log("  - updateChefProfile(name, specialty, bio, avatarHash, restaurant, location) / setSocialLink(key, value)");
+  console.log("  - getChefDetails(chef) / getSocialLinks(chef)");
+  console.log("  - verifyChef / suspendChef / unverifyChef(chef, reason) [verifiers] / getChefStatus(chef)");
+  console.log("  - setVerifier(address, enabled) [owner]");
+  console.log("  - rateRecipe(recipeId, score) / rateRecipeEncrypted(recipeId, encScore, proof) / publishRatingBatch(recipeId)");
   console.log("  - createSecretRecipe(name, category, ing1, ing2, ing3, spice, time, price, isPublic)");
+  console.log("  - createEncryptedRecipe(name, category, encIng1, encIng2, encIng3, encSpice, encTime, proof, price, isPublic)");
   console.log("  - requestRecipeAccess(recipeId) [payable]");
   console.log("  - approveAccess(requestId)");
+  console.log("  - approveAccessUntil(requestId, expiresAt)");
   console.log("  - denyAccess(requestId)");
+  console.log("  - setLicenseDuration(recipeId, seconds) / revokeAccess(recipeId, user)");
+  console.log("  - cancelAccessRequest(requestId) / expireAccessRequest(requestId)");
+  console.log("  - withdraw() / withdrawTo(address)");
+  console.log("  - createSubscriptionPlan(price, period, categories) / subscribe(chef, planId) [payable]");
+  console.log("  - revealSubscribedRecipe(recipeId)");
+  console.log("  - setPlatformFee(feeBps) / setTreasury(address) [owner]");
+  console.log("  - getFeeInfo() / calculatePlatformFee(amount)");
   console.log("  - revealRecipeSecrets(recipeId)");
   console.log("  - makeRecipePublic(recipeId)");
+  console.log("  - archiveRecipe(recipeId) / getArchivedRecipes(chef)");
   console.log("  - updateAccessPrice(recipeId, newPrice)");
+  console.log("  - publishRecipeVersion(recipeId, ingredients, encSpice, encTime, proof) / getRecipeVersionHandles(recipeId, version)");
+  console.log("  - setAutoApprove(recipeId, enabled)");
+  console.log("  - setCoOwners(recipeId, coOwners, sharesBps) / setApprovalPolicy(recipeId, policy) / getRecipeOwners(recipeId)");
+  console.log("  - compareRecipes(recipeId1, recipeId2, field, op, index1, index2) / getComparison(comparisonId)");
+  console.log("  - checkIngredientOverlap(recipeId1, recipeId2) / getOverlapCheck(checkId)");
+  console.log("  - setAllergens(recipeId, encryptedFlags, inputProof) / checkAllergen(recipeId, encryptedFlags, inputProof)");
+  console.log("  - getAllergenCheck(checkId)");
+  console.log("  - setNutrition(recipeId, calories, protein, carbs, fat, inputProof) / computeMealPlan(recipeIds) / getMealPlan(id)");
+  console.log("  - setBaseServings(recipeId, servings) / scaleRecipe(recipeId, servings) / getScaledRecipe(scaleId)");
+  console.log("  - setDiscoverable(recipeId, enabled) / computeRangeQueries(recipeIds, field, bucket) / getRangeQueryResults(...)");
+  console.log("  - setArbitrator(address, enabled) [owner]");
+  console.log("  - setDisputeWindow(seconds) [owner] / openDispute(requestId, reason) / releasePayment(requestId)");
+  console.log("  - takeDispute(requestId) / resolveDispute(requestId, refund, ruling) [arbitrators] / getDispute(requestId)");
   console.log("  - getRecipeInfo(recipeId)");
   console.log("  - getChefProfile(address)");
   console.log("  - checkRecipeAccess(user, recipeId)");
   console.log("  - getRecipeCount()");
   console.log("  - getChefRecipes(chef)");
+  console.log("  - IngredientRegistry.registerIngredient(code, name, category, allergenFlags, defaultUnit)");
+  console.log("  - IngredientRegistry.getIngredient(code)");
 
   console.log("\n✨ Interaction completed!\n");
 }
@@ -1,4 +1,16 @@
 const hre = require("hardhat");
+const { deployRecipeContracts } = require("./utils/recipeContract");
+
+// Encrypts a recipe's secrets client-side so they never appear in calldata
+async function encryptRecipeSecrets(contractAddress, chef, secrets) {
+  const input = hre.fhevm.createEncryptedInput(contractAddress, chef.address);
+  input.add32(secrets.ingredients[0]);
+  input.add32(secrets.ingredients[1]);
+  input.add32(secrets.ingredients[2]);
+  input.add8(secrets.spiceLevel);
+  input.add32(secrets.cookingTime);
+  return input.encrypt();
+}
 
 async function main() {
   console.log("Starting full simulation of SecretRecipeProtection workflow...\n");
@@ -21,13 +33,13 @@ async function main() {
   console.log("📦 STEP 1: DEPLOYING CONTRACT");
   console.log("─".repeat(70));
 
-  const SecretRecipeProtection = await hre.ethers.getContractFactory("SecretRecipeProtection");
-  const contract = await SecretRecipeProtection.deploy();
-  await contract.waitForDeployment();
+  const { contract } = await deployRecipeContracts();
 
   const contractAddress = await contract.getAddress();
   console.log("✅ Contract deployed at:", contractAddress);
 
+  await hre.fhevm.initializeCLIApi();
+
   // Register chefs
   console.log("\n" + "─".repeat(70));
   console.log("👨‍🍳 STEP 2: REGISTERING CHEFS");
@@ -49,60 +61,84 @@ async function main() {
   await registerTx2.wait();
   console.log("✅ Chef 2 registered: Jamie Oliver");
 
+  // Registration leaves chefs unverified; the owner acts as a verifier
+  console.log("\nVerifying Chef 1...");
+  const verifyTx = await contract.connect(owner).verifyChef(chef1.address, "Identity and restaurant checked");
+  await verifyTx.wait();
+  console.log("✅ Chef 1 verified (Chef 2 stays unverified and is flagged in listings)");
+
   // Display chef profiles
   const profile1 = await contract.getChefProfile(chef1.address);
   const profile2 = await contract.getChefProfile(chef2.address);
 
   console.log("\n📋 Chef Profiles:");
   console.log(`  ${profile1[0]} - ${profile1[1]}`);
-  console.log(`    Recipes: ${profile1[2]}, Reputation: ${profile1[4]}`);
+  console.log(`    Recipes: ${profile1[2]}, Reputation: ${profile1[4]}, Verified: ${profile1[3]}`);
   console.log(`  ${profile2[0]} - ${profile2[1]}`);
-  console.log(`    Recipes: ${profile2[2]}, Reputation: ${profile2[4]}`);
+  console.log(`    Recipes: ${profile2[2]}, Reputation: ${profile2[4]}, Verified: ${profile2[3]}`);
 
   // Create recipes
   console.log("\n" + "─".repeat(70));
   console.log("📝 STEP 3: CREATING SECRET RECIPES");
   console.log("─".repeat(70));
 
-  console.log("\nChef 1 creating recipe: Beef Wellington...");
-  const createTx1 = await contract.connect(chef1).createSecretRecipe(
+  console.log("\nChef 1 encrypting and creating recipe: Beef Wellington...");
+  const encrypted1 = await encryptRecipeSecrets(contractAddress, chef1, {
+    ingredients: [12345, 67890, 11111], // Secret ingredient codes
+    spiceLevel: 5,
+    cookingTime: 180, // Minutes
+  });
+  const createTx1 = await contract.connect(chef1).createEncryptedRecipe(
     "Beef Wellington",
     "Main Course",
-    12345, // Secret ingredient 1
-    67890, // Secret ingredient 2
-    11111, // Secret ingredient 3
-    5,     // Spice level
-    180,   // Cooking time (minutes)
+    encrypted1.handles[0],
+    encrypted1.handles[1],
+    encrypted1.handles[2],
+    encrypted1.handles[3],
+    encrypted1.handles[4],
+    encrypted1.inputProof,
     hre.ethers.parseEther("0.01"), // Access price
     false  // Private recipe
   );
   await createTx1.wait();
   console.log("✅ Recipe #1 created: Beef Wellington");
 
-  console.log("\nChef 1 creating recipe: Chocolate Soufflé...");
-  const createTx2 = await contract.connect(chef1).createSecretRecipe(
+  console.log("\nChef 1 encrypting and creating recipe: Chocolate Soufflé...");
+  const encrypted2 = await encryptRecipeSecrets(contractAddress, chef1, {
+    ingredients: [22222, 33333, 44444],
+    spiceLevel: 2,
+    cookingTime: 45,
+  });
+  const createTx2 = await contract.connect(chef1).createEncryptedRecipe(
     "Chocolate Soufflé",
     "Dessert",
-    22222,
-    33333,
-    44444,
-    2,
-    45,
+    encrypted2.handles[0],
+    encrypted2.handles[1],
+    encrypted2.handles[2],
+    encrypted2.handles[3],
+    encrypted2.handles[4],
+    encrypted2.inputProof,
     hre.ethers.parseEther("0.005"),
     true   // Public recipe
   );
   await createTx2.wait();
   console.log("✅ Recipe #2 created: Chocolate Soufflé (Public)");
 
-  console.log("\nChef 2 creating recipe: Pasta Carbonara...");
-  const createTx3 = await contract.connect(chef2).createSecretRecipe(
+  console.log("\nChef 2 encrypting and creating recipe: Pasta Carbonara...");
+  const encrypted3 = await encryptRecipeSecrets(contractAddress, chef2, {
+    ingredients: [55555, 66666, 77777],
+    spiceLevel: 3,
+    cookingTime: 30,
+  });
+  const createTx3 = await contract.connect(chef2).createEncryptedRecipe(
     "Pasta Carbonara",
     "Main Course",
-    55555,
-    66666,
-    77777,
-    3,
-    30,
+    encrypted3.handles[0],
+    encrypted3.handles[1],
+    encrypted3.handles[2],
+    encrypted3.handles[3],
+    encrypted3.handles[4],
+    encrypted3.inputProof,
     hre.ethers.parseEther("0.008"),
     false
   );
@@ -241,7 +277,7 @@ async function main() {
   console.log("\n💡 Summary:");
   console.log("  ✅ Contract deployed and initialized");
   console.log("  ✅ 2 chefs registered");
-  console.log("  ✅ 3 recipes created (2 private, 1 public)");
+  console.log("  ✅ 3 recipes created from encrypted inputs (2 private, 1 public)");
   console.log("  ✅ 2 access requests made and approved");
   console.log("  ✅ 1 recipe made public");
   console.log("  ✅ 1 recipe price updated");
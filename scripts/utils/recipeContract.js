@@ -0,0 +1,67 @@
+const hre = require("hardhat");
+
+// SecretRecipeProtection forwards unknown selectors along a chain of modules via its fallback,
+// so callers need every ABI bound to the SecretRecipeProtection address. The recipe contracts
+// link the external RecipeSecretsLib library.
+const MODULES = ["SecretRecipeExtension", "SecretRecipeQueries", "SecretRecipeCommunity"];
+
+async function getRecipeContractAbi() {
+  const core = await hre.artifacts.readArtifact("SecretRecipeProtection");
+
+  // Shared state getters and events appear in several artifacts
+  const signature = (item) => `${item.type} ${item.name || ""}(${(item.inputs || []).map((input) => input.type).join(",")})`;
+  const known = new Set(core.abi.map(signature));
+  const abi = [...core.abi];
+
+  for (const name of MODULES) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    for (const item of artifact.abi) {
+      if (item.type === "constructor" || item.type === "fallback" || known.has(signature(item))) {
+        continue;
+      }
+      known.add(signature(item));
+      abi.push(item);
+    }
+  }
+
+  return abi;
+}
+
+async function attachRecipeContract(address, runner) {
+  const signer = runner || (await hre.ethers.getSigners())[0];
+  return new hre.ethers.Contract(address, await getRecipeContractAbi(), signer);
+}
+
+async function deployRecipeContracts() {
+  const RecipeSecretsLib = await hre.ethers.getContractFactory("RecipeSecretsLib");
+  const library = await RecipeSecretsLib.deploy();
+  await library.waitForDeployment();
+  const libraries = { RecipeSecretsLib: await library.getAddress() };
+
+  // Modules are deployed from the end of the chain so each can point at the next
+  const SecretRecipeCommunity = await hre.ethers.getContractFactory("SecretRecipeCommunity", { libraries });
+  const community = await SecretRecipeCommunity.deploy();
+  await community.waitForDeployment();
+
+  const SecretRecipeQueries = await hre.ethers.getContractFactory("SecretRecipeQueries");
+  const queries = await SecretRecipeQueries.deploy(await community.getAddress());
+  await queries.waitForDeployment();
+
+  const SecretRecipeExtension = await hre.ethers.getContractFactory("SecretRecipeExtension", { libraries });
+  const extension = await SecretRecipeExtension.deploy(await queries.getAddress());
+  await extension.waitForDeployment();
+
+  const SecretRecipeProtection = await hre.ethers.getContractFactory("SecretRecipeProtection", { libraries });
+  const core = await SecretRecipeProtection.deploy(await extension.getAddress());
+  await core.waitForDeployment();
+
+  const contract = await attachRecipeContract(await core.getAddress(), core.runner);
+
+  return { contract, core, extension, queries, community, library };
+}
+
+module.exports = {
+  getRecipeContractAbi,
+  attachRecipeContract,
+  deployRecipeContracts,
+};
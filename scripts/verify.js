@@ -31,7 +31,8 @@ async function main() {
 
     await hre.run("verify:verify", {
       address: contractAddress,
-      constructorArguments: [],
+      constructorArguments: [deploymentInfo.extensionAddress],
+      libraries: { RecipeSecretsLib: deploymentInfo.recipeSecretsLibAddress },
     });
 
     console.log("\n✅ Contract verified successfully!");
@@ -67,6 +68,64 @@ async function main() {
     }
   }
 
+  // Verify the library and modules the main contract delegates to
+  const linkedContracts = [
+    { name: "RecipeSecretsLib", address: deploymentInfo.recipeSecretsLibAddress, args: [], libraries: {} },
+    {
+      name: "SecretRecipeExtension",
+      address: deploymentInfo.extensionAddress,
+      args: [deploymentInfo.queriesAddress],
+      libraries: { RecipeSecretsLib: deploymentInfo.recipeSecretsLibAddress },
+    },
+    {
+      name: "SecretRecipeQueries",
+      address: deploymentInfo.queriesAddress,
+      args: [deploymentInfo.communityAddress],
+      libraries: {},
+    },
+    {
+      name: "SecretRecipeCommunity",
+      address: deploymentInfo.communityAddress,
+      args: [],
+      libraries: { RecipeSecretsLib: deploymentInfo.recipeSecretsLibAddress },
+    },
+  ];
+  for (const linked of linkedContracts) {
+    try {
+      console.log(`\nVerifying ${linked.name} on Etherscan...`);
+      await hre.run("verify:verify", {
+        address: linked.address,
+        constructorArguments: linked.args,
+        libraries: linked.libraries,
+      });
+      console.log(`✅ ${linked.name} verified successfully!`);
+    } catch (error) {
+      if (error.message.includes("Already Verified")) {
+        console.log(`✅ ${linked.name} is already verified!`);
+      } else {
+        console.error(`❌ ${linked.name} verification failed:`, error.message);
+      }
+    }
+  }
+
+  // Verify the ingredient registry deployed alongside the main contract
+  if (deploymentInfo.ingredientRegistryAddress) {
+    try {
+      console.log("\nVerifying IngredientRegistry on Etherscan...");
+      await hre.run("verify:verify", {
+        address: deploymentInfo.ingredientRegistryAddress,
+        constructorArguments: [],
+      });
+      console.log("✅ IngredientRegistry verified successfully!");
+    } catch (error) {
+      if (error.message.includes("Already Verified")) {
+        console.log("✅ IngredientRegistry is already verified!");
+      } else {
+        console.error("❌ IngredientRegistry verification failed:", error.message);
+      }
+    }
+  }
+
   console.log("\n✨ Verification completed!\n");
 }
 
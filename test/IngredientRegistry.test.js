@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ALLERGENS, DEFAULT_INGREDIENTS, createIngredientLookup } = require("../lib/ingredients");
+
+describe("IngredientRegistry", function () {
+  // Fixture for deploying the registry
+  async function deployRegistryFixture() {
+    const [owner, contributor, other] = await ethers.getSigners();
+
+    const IngredientRegistry = await ethers.getContractFactory("IngredientRegistry");
+    const registry = await IngredientRegistry.deploy();
+
+    return { registry, owner, contributor, other };
+  }
+
+  async function seededRegistryFixture() {
+    const fixture = await deployRegistryFixture();
+    await fixture.registry.registerIngredient(1001, "Beef tenderloin", "Meat", 0, 1);
+    await fixture.registry.registerIngredient(1302, "Spaghetti", "Grains", ALLERGENS.GLUTEN | ALLERGENS.EGGS, 1);
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should set the correct owner", async function () {
+      const { registry, owner } = await loadFixture(deployRegistryFixture);
+      expect(await registry.owner()).to.equal(owner.address);
+    });
+
+    it("Should start with community registration closed", async function () {
+      const { registry } = await loadFixture(deployRegistryFixture);
+      expect(await registry.communityRegistrationOpen()).to.equal(false);
+      expect(await registry.getIngredientCount()).to.equal(0);
+    });
+  });
+
+  describe("Registration", function () {
+    it("Should allow the owner to register an ingredient", async function () {
+      const { registry, owner } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.registerIngredient(1201, "Eggs", "Dairy & Eggs", ALLERGENS.EGGS, 8))
+        .to.emit(registry, "IngredientRegistered")
+        .withArgs(1201, "Eggs", owner.address);
+
+      const ingredient = await registry.getIngredient(1201);
+      expect(ingredient[0]).to.equal("Eggs");
+      expect(ingredient[1]).to.equal("Dairy & Eggs");
+      expect(ingredient[2]).to.equal(ALLERGENS.EGGS);
+      expect(ingredient[3]).to.equal(8);
+      expect(ingredient[4]).to.equal(owner.address);
+      expect(await registry.isRegistered(1201)).to.equal(true);
+    });
+
+    it("Should reject community registration while closed", async function () {
+      const { registry, contributor } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        registry.connect(contributor).registerIngredient(1201, "Eggs", "Dairy & Eggs", ALLERGENS.EGGS, 8)
+      ).to.be.revertedWith("Registration closed");
+    });
+
+    it("Should allow community registration once opened", async function () {
+      const { registry, contributor } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.setCommunityRegistration(true))
+        .to.emit(registry, "CommunityRegistrationChanged")
+        .withArgs(true);
+      await registry.connect(contributor).registerIngredient(1201, "Eggs", "Dairy & Eggs", ALLERGENS.EGGS, 8);
+
+      const ingredient = await registry.getIngredient(1201);
+      expect(ingredient[4]).to.equal(contributor.address);
+    });
+
+    it("Should only let the owner toggle community registration", async function () {
+      const { registry, contributor } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        registry.connect(contributor).setCommunityRegistration(true)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should reject duplicate codes, code zero and empty names", async function () {
+      const { registry } = await loadFixture(seededRegistryFixture);
+
+      await expect(registry.registerIngredient(1001, "Beef", "Meat", 0, 1)).to.be.revertedWith("Ingredient already registered");
+      await expect(registry.registerIngredient(0, "Nothing", "", 0, 0)).to.be.revertedWith("Invalid ingredient code");
+      await expect(registry.registerIngredient(1002, "", "Meat", 0, 1)).to.be.revertedWith("Name cannot be empty");
+    });
+  });
+
+  describe("Updates", function () {
+    it("Should let the contributor and the owner update an entry", async function () {
+      const { registry, contributor } = await loadFixture(deployRegistryFixture);
+
+      await registry.setCommunityRegistration(true);
+      await registry.connect(contributor).registerIngredient(1802, "Peanut", "Nuts", 0, 1);
+
+      await expect(registry.connect(contributor).updateIngredient(1802, "Peanuts", "Nuts & Seeds", 0, 1))
+        .to.emit(registry, "IngredientUpdated")
+        .withArgs(1802, "Peanuts");
+      await registry.updateIngredient(1802, "Peanuts", "Nuts & Seeds", ALLERGENS.PEANUTS, 1);
+
+      const ingredient = await registry.getIngredient(1802);
+      expect(ingredient[1]).to.equal("Nuts & Seeds");
+      expect(ingredient[2]).to.equal(ALLERGENS.PEANUTS);
+    });
+
+    it("Should reject updates from other accounts", async function () {
+      const { registry, other } = await loadFixture(seededRegistryFixture);
+
+      await expect(
+        registry.connect(other).updateIngredient(1001, "Tofu", "Vegan", 0, 1)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should reject updates and lookups for unknown codes", async function () {
+      const { registry } = await loadFixture(seededRegistryFixture);
+
+      await expect(registry.updateIngredient(9999, "Mystery", "", 0, 0)).to.be.revertedWith("Ingredient does not exist");
+      await expect(registry.getIngredient(9999)).to.be.revertedWith("Ingredient does not exist");
+    });
+  });
+
+  describe("Lookups", function () {
+    it("Should return names in batch with blanks for unknown codes", async function () {
+      const { registry } = await loadFixture(seededRegistryFixture);
+
+      const names = await registry.getIngredientNames([1302, 9999, 1001]);
+      expect([...names]).to.deep.equal(["Spaghetti", "", "Beef tenderloin"]);
+      expect([...(await registry.getAllIngredientCodes())]).to.deep.equal([1001n, 1302n]);
+    });
+
+    it("Should describe decrypted entries through the JS lookup library", async function () {
+      const { registry } = await loadFixture(seededRegistryFixture);
+      const lookup = createIngredientLookup(registry);
+
+      expect(await lookup.describe({ code: 1302n, quantity: 400n, unit: 0n })).to.equal("400 g Spaghetti [gluten, eggs]");
+      expect(await lookup.describe({ code: 1001n, quantity: 2n, unit: 2n })).to.equal("2 kg Beef tenderloin");
+
+      const resolved = await lookup.resolveMany([1302n, 424242n]);
+      expect(resolved[0].registered).to.equal(true);
+      expect(resolved[0].allergenFlags).to.equal(ALLERGENS.GLUTEN | ALLERGENS.EGGS);
+      expect(resolved[1].name).to.equal("Unknown ingredient #424242");
+      expect(resolved[1].allergenFlags).to.equal(0);
+    });
+
+    it("Should fall back to the bundled catalog without a registry", async function () {
+      const lookup = createIngredientLookup(null);
+      const catalogEntry = DEFAULT_INGREDIENTS[0];
+
+      const ingredient = await lookup.resolve(catalogEntry.code);
+      expect(ingredient.name).to.equal(catalogEntry.name);
+      expect(ingredient.registered).to.equal(false);
+    });
+  });
+});
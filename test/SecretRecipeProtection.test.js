@@ -1,14 +1,14 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployRecipeContracts } = require("../scripts/utils/recipeContract");
 
 describe("SecretRecipeProtection", function () {
   // Fixture for deploying the contract
   async function deployContractFixture() {
     const [owner, chef1, chef2, user1, user2] = await ethers.getSigners();
 
-    const SecretRecipeProtection = await ethers.getContractFactory("SecretRecipeProtection");
-    const contract = await SecretRecipeProtection.deploy();
+    const { contract } = await deployRecipeContracts();
 
     return { contract, owner, chef1, chef2, user1, user2 };
   }
@@ -42,7 +42,7 @@ describe("SecretRecipeProtection", function () {
       expect(profile[0]).to.equal("Gordon Ramsay");
       expect(profile[1]).to.equal("French Cuisine");
       expect(profile[2]).to.equal(0); // recipeCount
-      expect(profile[3]).to.equal(true); // verified
+      expect(profile[3]).to.equal(false); // unverified until a verifier approves
       expect(profile[4]).to.equal(100); // reputation
     });
 